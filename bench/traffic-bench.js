@@ -0,0 +1,68 @@
+/**
+ * Traffic simulation benchmark (no canvas, no DOM).
+ *
+ * Steps TrafficSystem from simulation.js on a flat 2000-segment track
+ * with a rider cruising through it, in one-way and two-way (oncoming) traffic.
+ *
+ *   node bench/traffic-bench.js [steps]
+ */
+const { performance } = require('perf_hooks');
+const { CONFIG, TrafficSystem, SeededRandom } = require('../simulation.js');
+
+const STEPS = parseInt(process.argv[2]) || 600;
+const WARMUP = 60;
+const DT = 1 / 60;
+const SEGMENTS = 2000;
+
+function buildTraffic(carCount, mode) {
+    const rng = new SeededRandom(1);
+    const segments = [];
+    for (let i = 0; i < SEGMENTS; i++) segments.push({ index: i, cars: [], sprites: [] });
+
+    const traffic = new TrafficSystem(segments, rng, mode);
+    for (let k = 0; k < carCount; k++) {
+        const type = rng.next() > 0.5 ? 'car' : 'truck';
+        const spec = TrafficSystem.spec(type);
+        const lane = CONFIG.TRAFFIC.LANES[k % CONFIG.TRAFFIC.LANES.length];
+        const direction = traffic.isOncomingLane(lane) ? -1 : 1;
+        traffic.addCar(Math.floor(k * SEGMENTS / carCount), lane, direction * rng.int(spec.MIN_SPEED, spec.MAX_SPEED), type);
+    }
+    return traffic;
+}
+
+function run(carCount, mode) {
+    const traffic = buildTraffic(carCount, mode);
+    const trackLength = SEGMENTS * CONFIG.SEGMENT_LENGTH;
+    // Rider cruises in the right-hand gap between lanes so collisions don't matter
+    const player = { z: 0, x: 0.33, speed: 10000 };
+    const times = [];
+
+    for (let i = 0; i < WARMUP + STEPS; i++) {
+        player.z = (player.z + player.speed * DT) % trackLength;
+        const start = performance.now();
+        traffic.step(DT, { z: player.z, x: player.x, speed: player.speed });
+        if (i >= WARMUP) times.push(performance.now() - start);
+    }
+
+    times.sort((a, b) => a - b);
+    const mean = times.reduce((a, b) => a + b, 0) / times.length;
+    return { mean, p95: times[Math.floor(times.length * 0.95)], max: times[times.length - 1] };
+}
+
+function report(label) {
+    console.log(`\n${label}`);
+    console.log('mode     cars    mean ms/step   p95 ms/step   max ms/step');
+    for (const mode of ['oneway', 'twoway']) {
+        for (const carCount of [50, 500, 5000]) {
+            const r = run(carCount, mode);
+            console.log(`${mode.padEnd(9)}${String(carCount).padEnd(8)}${r.mean.toFixed(3).padStart(12)}${r.p95.toFixed(3).padStart(14)}${r.max.toFixed(3).padStart(14)}`);
+        }
+    }
+}
+
+console.log(`Traffic benchmark: ${STEPS} steps of ${(DT * 1000).toFixed(1)} ms, ${SEGMENTS} segments`);
+report(`Level of detail (far cars every ${CONFIG.TRAFFIC.FAR_INTERVAL} steps)`);
+
+// Same simulation with every car on full-rate updates, for comparison
+CONFIG.TRAFFIC.FAR_INTERVAL = 1;
+report('Full rate (every car every step)');
@@ -1,39 +1,3 @@
-/**
- * ------------------------------------------------------------------
- * CONFIGURATION & CONSTANTS
- * ------------------------------------------------------------------
- */
-const CONFIG = {
-    FPS: 60,
-    FOV: 100,
-    CAMERA_HEIGHT: 1000, 
-    CAMERA_DEPTH: 0.84, 
-    SEGMENT_LENGTH: 200, 
-    DRAW_DISTANCE: 300, 
-    LANES: 3,
-    ROAD_WIDTH: 2000,
-    MAX_SPEED: 12000, 
-    ACCEL: 100,
-    BRAKING: -300,
-    DECEL: -50,
-    OFF_ROAD_DECEL: -200,
-    SKY_SPEED: 0.001, 
-    
-    COLORS: {
-        SKY_TOP: '#000022',
-        SKY_BOTTOM: '#003366',
-        ROAD_LIGHT: '#444444',
-        ROAD_DARK: '#3e3e3e',
-        GRASS_LIGHT: '#104010',
-        GRASS_DARK: '#0b300b',
-        LANE_MARKER: '#ffffff',
-        RUMBLE: '#550000',
-        FOG: '#001525',
-        TREE_TRUNK: '#443322',
-        TREE_LEAVES: '#004400'
-    }
-};
-
 /**
  * ------------------------------------------------------------------
  * AUDIO ENGINE (Synthesized)
@@ -167,633 +131,2204 @@ class AudioController {
         this.windGain.gain.exponentialRampToValueAtTime(0.001, t + 0.1);
     }
     
+    // Two detuned square waves through a lowpass, like a scooter horn
+    playHorn() {
+        if (!this.initialized) return;
+        const t = this.ctx.currentTime;
+
+        const filter = this.ctx.createBiquadFilter();
+        filter.type = 'lowpass';
+        filter.frequency.value = 1800;
+
+        const gain = this.ctx.createGain();
+        gain.gain.setValueAtTime(0.001, t);
+        gain.gain.exponentialRampToValueAtTime(0.25, t + 0.02);
+        gain.gain.setValueAtTime(0.25, t + 0.35);
+        gain.gain.exponentialRampToValueAtTime(0.001, t + 0.5);
+
+        filter.connect(gain);
+        gain.connect(this.ctx.destination);
+        [415, 440].forEach(freq => {
+            const osc = this.ctx.createOscillator();
+            osc.type = 'square';
+            osc.frequency.value = freq;
+            osc.connect(filter);
+            osc.start(t);
+            osc.stop(t + 0.5);
+        });
+    }
+
     resume() {
         if (this.ctx && this.ctx.state === 'suspended') {
             this.ctx.resume();
         }
     }
+
+    suspend() {
+        if (this.ctx && this.ctx.state === 'running') {
+            this.ctx.suspend();
+        }
+    }
 }
 
 /**
  * ------------------------------------------------------------------
- * INPUT HANDLING
+ * MEDIAPIPE LOADER (Local copy with CDN fallback)
  * ------------------------------------------------------------------
  */
-class InputSystem {
-    constructor() {
-        this.keys = {};
-        this.gesture = { tilt: 0, throttle: 0, brake: 0, active: false };
-        
-        // Keyboard steering - more responsive
-        this.keyboardSteer = 0;
-        this.steerSpeed = 0.25; // Fast steering response
-        this.steerReturn = 0.2; // Quick return to center
-        
-        // Wave gesture detection
-        this.waveHistory = [];
-        this.waveThreshold = 3; // Number of direction changes needed
-        this.waveTimeWindow = 1500; // Time window in ms
-        this.lastWaveTime = 0;
-        this.waveCooldown = 1000; // Cooldown between wave detections
-        this.onWaveDetected = null; // Callback for wave gesture
+// Why gesture control isn't available: 'script' (MediaPipe didn't download),
+// 'model' (its WASM/model files didn't), 'permission', 'no-camera',
+// 'camera' (couldn't be started) or 'tracking' (failed while running)
+class GestureError extends Error {
+    constructor(kind, message) {
+        super(message);
+        this.name = 'GestureError';
+        this.kind = kind;
+    }
+}
 
-        window.addEventListener('keydown', (e) => {
-            this.keys[e.code] = true;
-            // Prevent default for game keys to avoid page scrolling
-            if (['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'KeyW', 'KeyA', 'KeyS', 'KeyD'].includes(e.code)) {
-                e.preventDefault();
-            }
-        });
-        window.addEventListener('keyup', (e) => this.keys[e.code] = false);
+// Loads MediaPipe's scripts from the first base path that has them. The
+// hands model then fetches its WASM and model files from the same place.
+// A path that failed is tried last on a retry, for the rest of the session.
+class MediaPipeLoader {
+    static basePaths() {
+        const paths = CONFIG.MEDIAPIPE.BASE_PATHS.slice();
+        const param = new URLSearchParams(window.location.search).get('mediapipe');
+        if (param) paths.unshift(param.endsWith('/') ? param : param + '/');
+        return paths.filter(base => !MediaPipeLoader.failed.has(base))
+            .concat(paths.filter(base => MediaPipeLoader.failed.has(base)));
+    }
 
-        this.videoElement = document.getElementById('input_video');
-        this.canvasPreview = document.getElementById('webcam-preview');
-        this.ctxPreview = this.canvasPreview.getContext('2d');
-        
-        this.hands = new Hands({locateFile: (file) => `https://cdn.jsdelivr.net/npm/@mediapipe/hands/${file}`});
-        this.hands.setOptions({
-            maxNumHands: 1,
-            modelComplexity: 1,
-            minDetectionConfidence: 0.5,
-            minTrackingConfidence: 0.5
-        });
-        this.hands.onResults(this.onHandsResults.bind(this));
-        
-        this.camera = new Camera(this.videoElement, {
-            onFrame: async () => await this.hands.send({image: this.videoElement}),
-            width: 320,
-            height: 240
+    // A script that fails to load is taken out of the page again
+    static loadScript(src) {
+        return new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = src;
+            script.crossOrigin = 'anonymous';
+            script.onload = resolve;
+            script.onerror = () => {
+                script.remove();
+                reject(new Error(`Could not load ${src}`));
+            };
+            document.head.appendChild(script);
         });
     }
 
-    startCamera() { return this.camera.start(); }
-
-    onHandsResults(results) {
-        this.ctxPreview.save();
-        this.ctxPreview.clearRect(0, 0, this.canvasPreview.width, this.canvasPreview.height);
-        this.ctxPreview.drawImage(results.image, 0, 0, this.canvasPreview.width, this.canvasPreview.height);
-        
-        if (results.multiHandLandmarks && results.multiHandLandmarks.length > 0) {
-            const landmarks = results.multiHandLandmarks[0];
-            drawConnectors(this.ctxPreview, landmarks, HAND_CONNECTIONS, {color: '#00FF00', lineWidth: 2});
-            drawLandmarks(this.ctxPreview, landmarks, {color: '#FF0000', lineWidth: 1});
-            
-            this.processGesture(landmarks);
-            this.detectWaveGesture(landmarks);
-            this.gesture.active = true;
-            document.getElementById('g-status').innerText = "Tracking";
-            document.getElementById('g-status').style.color = "#00ff88";
-        } else {
-            this.gesture.active = false;
-            this.gesture.tilt *= 0.9;
-            this.gesture.throttle = 0;
-            this.gesture.brake = 0;
-            document.getElementById('g-status').innerText = "No Hand";
-            document.getElementById('g-status').style.color = "#ff0055";
+    // A script already loaded from an earlier path isn't run again on top
+    static async load() {
+        for (const base of MediaPipeLoader.basePaths()) {
+            try {
+                if (!window.Hands) {
+                    await MediaPipeLoader.loadScript(base + 'hands/hands.js');
+                    MediaPipeLoader.base = base;
+                }
+                if (!window.drawConnectors) await MediaPipeLoader.loadScript(base + 'drawing_utils/drawing_utils.js');
+                return MediaPipeLoader.base;
+            } catch (e) {
+                console.warn(e.message);
+                MediaPipeLoader.failed.add(base);
+            }
         }
-        this.ctxPreview.restore();
+        throw new Error('MediaPipe could not be loaded from ' + MediaPipeLoader.basePaths().join(' or '));
     }
 
-    processGesture(landmarks) {
-        const wrist = landmarks[0];
-        const middleBase = landmarks[9];
-        const dx = middleBase.x - wrist.x;
-        const dy = middleBase.y - wrist.y; 
-        
-        let angle = Math.atan2(dy, dx); 
-        const neutralAngle = -Math.PI / 2;
-        let tilt = (angle - neutralAngle);
-        const maxTilt = 0.8;
-        this.gesture.tilt = Math.max(-1, Math.min(1, tilt / maxTilt));
-        
-        if(Math.abs(this.gesture.tilt) < 0.1) this.gesture.tilt = 0;
-        document.getElementById('g-tilt').innerText = (this.gesture.tilt * 90).toFixed(0) + "°";
+    // locateFile for Hands: model and WASM files next to the loaded hands.js
+    static locateFile(file) { return `${MediaPipeLoader.base}hands/${file}`; }
+}
+MediaPipeLoader.base = null;        // Base path hands.js was loaded from
+MediaPipeLoader.failed = new Set(); // Base paths that failed this session
 
-        const tips = [8, 12, 16, 20];
-        const pips = [6, 10, 14, 18];
-        let extendedFingers = 0;
+/**
+ * ------------------------------------------------------------------
+ * INPUT HANDLING
+ * ------------------------------------------------------------------
+ */
+// Every input source offers getCommand() -> { steer, accel, brake } (steer
+// +1 is full left) plus nitro / horn / wheelie flags, a HUD name, and lastUsed: the time it last saw the
+// rider's hands, which InputSystem uses to pick the active source.
 
-        for(let i=0; i<4; i++) {
-            const dTip = this.dist(wrist, landmarks[tips[i]]);
-            const dPip = this.dist(wrist, landmarks[pips[i]]);
-            if (dTip > dPip * 1.1) extendedFingers++;
-        }
+// Eases on/off steering (keys, touch buttons) toward its target
+class DigitalSteering {
+    constructor() {
+        this.value = 0;
+        this.speed = 0.25;      // Fast steering response
+        this.returnRate = 0.2;  // Quick return to center
+    }
 
-        let actionText = "Coast";
-        if (extendedFingers >= 3) {
-            this.gesture.throttle = 1;
-            this.gesture.brake = 0;
-            actionText = "ACCEL";
-        } else if (extendedFingers <= 1) {
-            this.gesture.throttle = 0;
-            this.gesture.brake = 1;
-            actionText = "BRAKE";
+    update(target) {
+        if (target !== 0) {
+            this.value += (target - this.value) * this.speed;
         } else {
-            this.gesture.throttle = 0;
-            this.gesture.brake = 0;
+            this.value *= (1 - this.returnRate);
+            if (Math.abs(this.value) < 0.01) this.value = 0;
         }
-        document.getElementById('g-action').innerText = actionText;
+        return this.value;
     }
+}
 
-    dist(p1, p2) { return Math.sqrt(Math.pow(p1.x - p2.x, 2) + Math.pow(p1.y - p2.y, 2)); }
+// Key codes bound to each action, saved in localStorage
+class KeyBindings {
+    constructor() {
+        this.storageKey = 'gestureRiderKeyBindings';
+        this.bindings = KeyBindings.defaults();
 
-    detectWaveGesture(landmarks) {
-        const now = Date.now();
-        const wrist = landmarks[0];
-        
-        // Add current position to history
-        this.waveHistory.push({
-            x: wrist.x,
-            time: now
-        });
-        
-        // Remove old entries outside time window
-        this.waveHistory = this.waveHistory.filter(p => now - p.time < this.waveTimeWindow);
-        
-        // Need at least 4 points to detect wave
-        if (this.waveHistory.length < 4) return;
-        
-        // Check for direction changes (wave motion)
-        let directionChanges = 0;
-        let lastDirection = null;
-        
-        for (let i = 1; i < this.waveHistory.length; i++) {
-            const dx = this.waveHistory[i].x - this.waveHistory[i-1].x;
-            if (Math.abs(dx) > 0.02) { // Minimum movement threshold
-                const direction = dx > 0 ? 'right' : 'left';
-                if (lastDirection && direction !== lastDirection) {
-                    directionChanges++;
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey));
+            if (saved) {
+                for (const action in this.bindings) {
+                    if (Array.isArray(saved[action])) this.bindings[action] = saved[action].filter(code => typeof code === 'string').slice(0, 2);
                 }
-                lastDirection = direction;
             }
+        } catch (e) {
+            console.warn('Ignoring corrupt key bindings', e);
         }
-        
-        // Check if wave detected and not in cooldown
-        if (directionChanges >= this.waveThreshold && (now - this.lastWaveTime) > this.waveCooldown) {
-            this.lastWaveTime = now;
-            this.waveHistory = []; // Clear history after detection
-            console.log('Wave gesture detected!');
-            if (this.onWaveDetected) {
-                this.onWaveDetected();
-            }
+    }
+
+    static defaults() {
+        const bindings = {};
+        for (const action in CONFIG.INPUT.KEYS) bindings[action] = CONFIG.INPUT.KEYS[action].slice();
+        return bindings;
+    }
+
+    // Actions in the order the settings panel lists them
+    static get ACTIONS() {
+        return [
+            { action: 'left', label: 'Steer Left' },
+            { action: 'right', label: 'Steer Right' },
+            { action: 'accel', label: 'Accelerate' },
+            { action: 'brake', label: 'Brake' },
+            { action: 'nitro', label: 'Nitro' },
+            { action: 'horn', label: 'Horn' },
+            { action: 'wheelie', label: 'Wheelie' },
+            { action: 'pause', label: 'Pause' },
+            { action: 'restart', label: 'Restart' }
+        ];
+    }
+
+    // Short name for a key code, e.g. 'KeyW' -> 'W', 'ArrowLeft' -> '←'
+    static label(code) {
+        if (!code) return '—';
+        const names = { ArrowLeft: '←', ArrowRight: '→', ArrowUp: '↑', ArrowDown: '↓', Escape: 'Esc', Backspace: '⌫', Space: 'Space' };
+        if (names[code]) return names[code];
+        return code.replace(/^(Key|Digit)/, '').replace(/^Numpad/, 'Num ').replace(/(Left|Right)$/, ' $1');
+    }
+
+    actionFor(code) {
+        for (const action in this.bindings) {
+            if (this.bindings[action].includes(code)) return action;
         }
+        return null;
     }
 
-    getCommand() {
-        let cmd = { steer: 0, accel: 0, brake: 0 };
-        if (this.gesture.active) {
-            cmd.steer = this.gesture.tilt;
-            cmd.accel = this.gesture.throttle;
-            cmd.brake = this.gesture.brake;
-        } else {
-            // Smooth keyboard steering with WASD and Arrow keys
-            let targetSteer = 0;
-            // Left: A or Left Arrow
-            if (this.keys['ArrowLeft'] || this.keys['KeyA']) targetSteer = 1;
-            // Right: D or Right Arrow
-            if (this.keys['ArrowRight'] || this.keys['KeyD']) targetSteer = -1;
-            
-            // Smoothly interpolate steering
-            if (targetSteer !== 0) {
-                this.keyboardSteer += (targetSteer - this.keyboardSteer) * this.steerSpeed;
+    isDown(action, keys) { return this.bindings[action].some(code => keys[code]); }
+
+    // Put code in an action's slot (0 or 1); a key only ever does one thing,
+    // so it is taken off any other action first
+    bind(action, slot, code) {
+        for (const other in this.bindings) this.bindings[other] = this.bindings[other].filter(c => c !== code);
+        const codes = this.bindings[action];
+        if (slot < codes.length) codes[slot] = code;
+        else codes.push(code);
+        this.persist();
+    }
+
+    clear(action, slot) {
+        this.bindings[action].splice(slot, 1);
+        this.persist();
+    }
+
+    reset() {
+        this.bindings = KeyBindings.defaults();
+        this.persist();
+    }
+
+    persist() {
+        localStorage.setItem(this.storageKey, JSON.stringify(this.bindings));
+    }
+}
+
+class KeyboardSource {
+    constructor(bindings) {
+        this.name = 'Keyboard';
+        this.bindings = bindings;
+        this.keys = {};
+        this.steering = new DigitalSteering();
+        this.lastUsed = 0;
+        this.capture = null;  // Settings panel waiting for the next key press
+        this.onAction = null; // Callback for the pause / restart actions
+
+        window.addEventListener('keydown', (e) => {
+            if (this.capture) {
+                e.preventDefault();
+                const capture = this.capture;
+                this.capture = null;
+                capture(e.code);
+                return;
+            }
+            // Leave typing and slider keys to form fields
+            const t = e.target;
+            if (t && (t.tagName === 'INPUT' || t.tagName === 'SELECT' || t.tagName === 'TEXTAREA' || t.isContentEditable)) return;
+            this.keys[e.code] = true;
+            const action = this.bindings.actionFor(e.code);
+            if (!action) return;
+            // Prevent default for game keys to avoid page scrolling
+            e.preventDefault();
+            if (action === 'pause' || action === 'restart') {
+                if (!e.repeat && this.onAction) this.onAction(action);
             } else {
-                // Return to center faster
-                this.keyboardSteer *= (1 - this.steerReturn);
-                if (Math.abs(this.keyboardSteer) < 0.01) this.keyboardSteer = 0;
+                this.lastUsed = performance.now();
             }
-            
-            cmd.steer = this.keyboardSteer;
-            
-            // Forward/Accelerate: W or Up Arrow
-            if (this.keys['ArrowUp'] || this.keys['KeyW']) cmd.accel = 1;
-            // Brake: S or Down Arrow
-            if (this.keys['ArrowDown'] || this.keys['KeyS']) cmd.brake = 1;
-            
-            // Update visual hint for active keys
-            this.updateKeyHints();
-        }
+        });
+        window.addEventListener('keyup', (e) => this.keys[e.code] = false);
+        this.refreshHints();
+    }
+
+    getCommand() {
+        const down = (action) => this.bindings.isDown(action, this.keys);
+        let cmd = { steer: 0, accel: 0, brake: 0 };
+        // Smooth keyboard steering
+        let targetSteer = 0;
+        if (down('left')) targetSteer = 1;
+        if (down('right')) targetSteer = -1;
+        cmd.steer = this.steering.update(targetSteer);
+        
+        if (down('accel')) cmd.accel = 1;
+        if (down('brake')) cmd.brake = 1;
+        cmd.nitro = down('nitro');
+        cmd.horn = down('horn');
+        cmd.wheelie = down('wheelie');
+        
+        // Update visual hint for active keys
+        this.updateKeyHints();
         return cmd;
     }
+
+    // Show each action's first bound key in the controls hint
+    refreshHints() {
+        document.querySelectorAll('#controls-hint .key').forEach(key => {
+            key.textContent = KeyBindings.label(this.bindings.bindings[key.dataset.action][0]);
+        });
+    }
     
     updateKeyHints() {
-        const hint = document.getElementById('controls-hint');
-        if (!hint) return;
-        
-        const keys = hint.querySelectorAll('.key');
-        keys.forEach(key => {
-            const keyText = key.textContent;
-            let isActive = false;
-            // W = Forward
-            if (keyText === 'W') isActive = this.keys['KeyW'] || this.keys['ArrowUp'];
-            // A = Left
-            if (keyText === 'A') isActive = this.keys['KeyA'] || this.keys['ArrowLeft'];
-            // S = Brake
-            if (keyText === 'S') isActive = this.keys['KeyS'] || this.keys['ArrowDown'];
-            // D = Right
-            if (keyText === 'D') isActive = this.keys['KeyD'] || this.keys['ArrowRight'];
-            key.classList.toggle('active', isActive);
+        document.querySelectorAll('#controls-hint .key').forEach(key => {
+            key.classList.toggle('active', this.bindings.isDown(key.dataset.action, this.keys));
         });
     }
 }
 
-/**
- * ------------------------------------------------------------------
- * VISUAL EFFECTS (Particles)
- * ------------------------------------------------------------------
- */
-class ParticleSystem {
-    constructor(ctx, width, height) {
-        this.ctx = ctx;
-        this.width = width;
-        this.height = height;
-        this.particles = [];
-        this.maxParticles = 50;
+// Standard-mapping gamepad: left stick steers, right/left triggers give
+// analog throttle and brake; A is nitro, B the horn and Y a wheelie
+class GamepadSource {
+    constructor() {
+        this.name = 'Gamepad';
+        this.lastUsed = 0;
+        this.state = { steer: 0, accel: 0, brake: 0 };
     }
 
-    updateAndDraw(speedRatio) {
-        if (speedRatio < 0.5) return; // Only show speed lines at high speed
-
-        // Spawn particles
-        if (this.particles.length < this.maxParticles && Math.random() > 0.5) {
-            this.particles.push({
-                x: Math.random() * this.width,
-                y: Math.random() * this.height,
-                z: 0,
-                angle: 0,
-                speed: 10 + Math.random() * 20
-            });
+    // Read the first connected pad; any stick or trigger movement marks it as used
+    poll() {
+        const pads = navigator.getGamepads ? navigator.getGamepads() : [];
+        const pad = Array.from(pads).find(p => p && p.connected);
+        if (!pad) {
+            this.state = { steer: 0, accel: 0, brake: 0 };
+            return;
         }
+        const stick = pad.axes[0] || 0;
+        const trigger = (index) => {
+            const value = pad.buttons[index] ? pad.buttons[index].value : 0;
+            return value > CONFIG.INPUT.TRIGGER_DEAD_ZONE ? value : 0;
+        };
+        const zone = CONFIG.INPUT.STICK_DEAD_ZONE;
+        const steer = Math.abs(stick) > zone ? -Math.sign(stick) * (Math.abs(stick) - zone) / (1 - zone) : 0;
+        const pressed = (index) => !!pad.buttons[index] && pad.buttons[index].pressed;
+        this.state = { steer: steer, accel: trigger(7), brake: trigger(6), nitro: pressed(0), horn: pressed(1), wheelie: pressed(3) };
+        const s = this.state;
+        if (steer !== 0 || s.accel > 0 || s.brake > 0 || s.nitro || s.horn || s.wheelie) this.lastUsed = performance.now();
+    }
 
-        this.ctx.strokeStyle = `rgba(255, 255, 255, ${speedRatio * 0.3})`;
-        this.ctx.lineWidth = 2;
-        this.ctx.beginPath();
-
-        const centerX = this.width / 2;
-        const centerY = this.height / 2;
+    getCommand() { return Object.assign({}, this.state); }
+}
 
-        for (let i = this.particles.length - 1; i >= 0; i--) {
-            let p = this.particles[i];
-            
-            // Move away from center
-            const dx = p.x - centerX;
-            const dy = p.y - centerY;
-            const angle = Math.atan2(dy, dx);
-            
-            p.x += Math.cos(angle) * p.speed * speedRatio;
-            p.y += Math.sin(angle) * p.speed * speedRatio;
-            
-            // Draw streak
-            this.ctx.moveTo(p.x, p.y);
-            this.ctx.lineTo(p.x - Math.cos(angle) * 20, p.y - Math.sin(angle) * 20);
+// Device-orientation steering for phones and tablets (roll of the device
+// around the screen's vertical axis, whichever way up it is held)
+class TiltSteering {
+    constructor() {
+        this.enabled = false;
+        this.angle = 0;      // Degrees, positive when tilted right
+        this.onChange = null;
+        window.addEventListener('deviceorientation', (e) => {
+            if (!this.enabled || e.gamma === null) return;
+            const orientation = (screen.orientation && screen.orientation.angle) || window.orientation || 0;
+            if (orientation === 90) this.angle = e.beta;
+            else if (orientation === -90 || orientation === 270) this.angle = -e.beta;
+            else this.angle = e.gamma;
+            if (Math.abs(this.angle) > CONFIG.INPUT.TILT_DEAD_ZONE && this.onChange) this.onChange();
+        });
+    }
 
-            // Remove if off screen
-            if (p.x < 0 || p.x > this.width || p.y < 0 || p.y > this.height) {
-                this.particles.splice(i, 1);
-            }
+    // iOS only delivers orientation events after the rider grants permission
+    async enable() {
+        if (typeof DeviceOrientationEvent !== 'undefined' && DeviceOrientationEvent.requestPermission) {
+            if (await DeviceOrientationEvent.requestPermission() !== 'granted') throw new Error('Tilt permission denied');
         }
-        this.ctx.stroke();
+        this.enabled = true;
     }
-}
 
-/**
- * ------------------------------------------------------------------
- * GAME LOGIC
- * ------------------------------------------------------------------
- */
-class Utils {
-    static project(p, cameraX, cameraY, cameraZ, cameraDepth, width, height, roadWidth) {
-        p.camera.x = (p.world.x || 0) - cameraX;
-        p.camera.y = (p.world.y || 0) - cameraY;
-        p.camera.z = (p.world.z || 0) - cameraZ;
-        if (p.camera.z <= 0) { p.screen.scale = 0; return; }
-        p.screen.scale = cameraDepth / p.camera.z;
-        p.screen.x = Math.round((width / 2) + (p.screen.scale * p.camera.x * width / 2));
-        p.screen.y = Math.round((height / 2) - (p.screen.scale * p.camera.y * height / 2));
-        p.screen.w = Math.round((p.screen.scale * roadWidth * width / 2));
-    }
-    static percentRemaining(n, total) { return (n % total) / total; }
-    static interpolate(a, b, percent) { return a + (b - a) * percent; }
-    static randomInt(min, max) { return Math.floor(Math.random() * (max - min + 1)) + min; }
+    get steer() {
+        const zone = CONFIG.INPUT.TILT_DEAD_ZONE;
+        if (Math.abs(this.angle) < zone) return 0;
+        const tilt = (Math.abs(this.angle) - zone) / (CONFIG.INPUT.MAX_DEVICE_TILT - zone);
+        return -Math.sign(this.angle) * Math.min(1, tilt);
+    }
 }
 
-class Game {
+// On-screen pedals and steering buttons, shown on touch screens. With tilt
+// steering switched on the device itself replaces the steering buttons.
+class TouchSource {
     constructor() {
-        this.canvas = document.getElementById('gameCanvas');
-        this.ctx = this.canvas.getContext('2d', { alpha: false });
-        this.width = window.innerWidth;
-        this.height = window.innerHeight;
-        this.canvas.width = this.width;
-        this.canvas.height = this.height;
+        this.lastUsed = 0;
+        this.held = {};
+        this.steering = new DigitalSteering();
+        this.tilt = new TiltSteering();
+        this.tilt.onChange = () => this.lastUsed = performance.now();
+        this.panel = document.getElementById('touch-controls');
+
+        this.panel.querySelectorAll('[data-touch]').forEach(button => {
+            const control = button.dataset.touch;
+            const release = () => {
+                this.held[control] = false;
+                button.classList.remove('active');
+            };
+            button.addEventListener('pointerdown', (e) => {
+                e.preventDefault();
+                this.held[control] = true;
+                this.lastUsed = performance.now();
+                button.classList.add('active');
+            });
+            ['pointerup', 'pointercancel', 'pointerleave'].forEach(type => button.addEventListener(type, release));
+        });
 
-        this.input = new InputSystem();
-        this.audio = new AudioController();
-        this.particles = new ParticleSystem(this.ctx, this.width, this.height);
-        
-        this.position = 0;      
-        this.playerX = 0;       
-        this.speed = 0;         
-        this.score = 0;
-        this.distanceRun = 0;
-        this.segments = [];     
-        this.isPlaying = false;
-        this.isGameOver = false;
-        
-        // Load High Score
-        this.highScore = parseInt(localStorage.getItem('gestureRiderHighScore')) || 0;
+        this.onAction = null; // Callback for the pause button
+        document.getElementById('touch-pause-btn').addEventListener('click', () => {
+            if (this.onAction) this.onAction('pause');
+        });
 
-        this.resetRoad();
+        const tiltBtn = document.getElementById('tilt-btn');
+        tiltBtn.addEventListener('click', async () => {
+            try {
+                if (this.tilt.enabled) this.tilt.enabled = false;
+                else await this.tilt.enable();
+            } catch (e) {
+                console.warn(e);
+            }
+            this.lastUsed = performance.now();
+            tiltBtn.classList.toggle('active', this.tilt.enabled);
+            this.panel.classList.toggle('tilt', this.tilt.enabled);
+        });
+
+        // Only bother touch screens with the on-screen controls
+        const show = () => document.body.classList.add('touch');
+        if (window.matchMedia && window.matchMedia('(pointer: coarse)').matches) show();
+        window.addEventListener('touchstart', show, { once: true, passive: true });
+    }
+
+    get name() { return this.tilt.enabled ? 'Tilt' : 'Touch'; }
+
+    getCommand() {
+        const target = this.held.left ? 1 : (this.held.right ? -1 : 0);
+        return {
+            steer: this.tilt.enabled ? this.tilt.steer : this.steering.update(target),
+            accel: this.held.accel ? 1 : 0,
+            brake: this.held.brake ? 1 : 0,
+            nitro: !!this.held.nitro,
+            horn: !!this.held.horn,
+            wheelie: !!this.held.wheelie
+        };
+    }
+}
+
+// Recognises the extra hand gestures: poses (thumbs-up, pinch, a "V") that
+// must be seen for a few frames in a row, and a quick upward flick of the
+// wrist. CONFIG.GESTURE.ACTIONS says which action each one triggers.
+class GestureClassifier {
+    constructor() {
+        this.candidate = null; // Pose in the latest frame
+        this.frames = 0;       // Frames in a row it has been seen
+        this.pose = null;      // Confirmed pose
+        this.wristHistory = [];
+        this.flickUntil = 0;   // Time the last flick stops pressing its action
+        this.now = 0;
+    }
+
+    // ratios: tip/PIP ratios of the four fingers (InputSystem.measureHand)
+    update(landmarks, ratios, now) {
+        const pose = this.classifyPose(landmarks, ratios);
+        this.frames = pose === this.candidate ? this.frames + 1 : 1;
+        this.candidate = pose;
+        this.pose = this.frames >= CONFIG.GESTURE.CLASSIFIER.HOLD_FRAMES ? pose : null;
+        if (this.detectFlick(landmarks[0], now)) this.flickUntil = now + CONFIG.GESTURE.CLASSIFIER.FLICK_PULSE;
+        this.now = now;
+    }
+
+    reset() {
+        this.candidate = this.pose = null;
+        this.frames = 0;
+        this.wristHistory = [];
+        this.flickUntil = 0;
+    }
+
+    // Static pose, or null for a plain steering hand. Distances are scaled
+    // by the palm width so they hold at any distance from the camera.
+    classifyPose(landmarks, ratios) {
+        const c = CONFIG.GESTURE.CLASSIFIER;
+        const d = (a, b) => Math.hypot(landmarks[a].x - landmarks[b].x, landmarks[a].y - landmarks[b].y);
+        const palm = d(5, 17);
+        if (palm <= 0) return null;
+        const extended = ratios.map(r => r > c.EXTENDED);
+        const curled = ratios.map(r => r < c.CURLED);
+
+        if (curled.every(Boolean) && d(4, 5) / palm > c.THUMB_OUT && landmarks[4].y < landmarks[3].y && landmarks[3].y < landmarks[2].y) return 'thumbsUp';
+        if (d(4, 8) / palm < c.PINCH && extended[1] && extended[2] && extended[3]) return 'pinch';
+        if (extended[0] && extended[1] && curled[2] && curled[3] && d(8, 12) / palm > c.V_SPREAD) return 'victory';
+        return null;
+    }
+
+    // Wrist moved up FLICK_DISTANCE within FLICK_TIME (image y grows downwards)
+    detectFlick(wrist, now) {
+        const c = CONFIG.GESTURE.CLASSIFIER;
+        this.wristHistory.push({ y: wrist.y, time: now });
+        this.wristHistory = this.wristHistory.filter(p => now - p.time <= c.FLICK_TIME);
+        const lowest = Math.max(...this.wristHistory.map(p => p.y));
+        if (lowest - wrist.y < c.FLICK_DISTANCE) return false;
+        this.wristHistory = [];
+        return true;
+    }
+
+    // True while a recognised pose is (or is about to be) shown, so the
+    // fingers forming it don't also work the throttle
+    get posing() { return this.candidate !== null; }
+
+    get actions() {
+        const actions = { nitro: false, horn: false, wheelie: false };
+        const map = CONFIG.GESTURE.ACTIONS;
+        if (this.pose && map[this.pose]) actions[map[this.pose]] = true;
+        if (this.now < this.flickUntil && map.flick) actions[map.flick] = true;
+        return actions;
+    }
+}
+
+// Adaptive low-pass filter (the "1€ filter", Casiez et al. 2012): heavy
+// smoothing while the value is steady, little lag when it moves fast
+class OneEuroFilter {
+    constructor(minCutoff, beta, dCutoff) {
+        this.minCutoff = minCutoff;
+        this.beta = beta;
+        this.dCutoff = dCutoff;
+        this.reset();
+    }
+
+    reset() {
+        this.value = null;
+        this.velocity = 0; // Filtered rate of change, per second
+        this.time = 0;
+    }
+
+    static alpha(cutoff, dt) {
+        const tau = 1 / (2 * Math.PI * cutoff);
+        return 1 / (1 + tau / dt);
+    }
+
+    // time in seconds
+    filter(x, time) {
+        if (this.value === null) {
+            this.value = x;
+            this.time = time;
+            return x;
+        }
+        const dt = Math.max(0.001, time - this.time);
+        this.time = time;
+        this.velocity += ((x - this.value) / dt - this.velocity) * OneEuroFilter.alpha(this.dCutoff, dt);
+        const cutoff = this.minCutoff + this.beta * Math.abs(this.velocity);
+        this.value += (x - this.value) * OneEuroFilter.alpha(cutoff, dt);
+        return this.value;
+    }
+}
+
+// Accel / coast / brake from hand openness with hysteresis: a state is
+// entered a margin past its threshold, left only a margin back the other
+// way, and kept for a minimum time so it can't flicker
+class PedalState {
+    constructor() {
+        this.state = 'coast';
+        this.since = 0;
+    }
+
+    reset() {
+        this.state = 'coast';
+        this.since = 0;
+    }
+
+    update(openness, bandTop, bandBottom, now) {
+        const margin = CONFIG.GESTURE.FILTER.HYSTERESIS / 2;
+        let next = 'coast';
+        if (openness > (this.state === 'accel' ? bandTop - margin : bandTop + margin)) next = 'accel';
+        else if (openness < (this.state === 'brake' ? bandBottom + margin : bandBottom - margin)) next = 'brake';
+        if (next !== this.state && now - this.since >= CONFIG.GESTURE.FILTER.MIN_HOLD) {
+            this.state = next;
+            this.since = now;
+        }
+        return this.state;
+    }
+}
+
+// Scrolling plot of raw (dim) and filtered (bright) tilt and pedal values
+// in the gesture panel
+class GestureGraph {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.samples = [];
+        this.length = 90; // Camera frames shown, about 3 s
+    }
+
+    push(sample) {
+        this.samples.push(sample);
+        if (this.samples.length > this.length) this.samples.shift();
+        this.draw();
+    }
+
+    draw() {
+        const { width, height } = this.canvas;
+        const ctx = this.ctx;
+        ctx.clearRect(0, 0, width, height);
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.1)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(0, height / 4); ctx.lineTo(width, height / 4);
+        ctx.moveTo(0, height * 3 / 4); ctx.lineTo(width, height * 3 / 4);
+        ctx.stroke();
+
+        // Tilt in the top half, pedal (throttle up, brake down) in the bottom half
+        const trace = (key, top, color) => {
+            ctx.strokeStyle = color;
+            ctx.beginPath();
+            this.samples.forEach((sample, i) => {
+                const x = i / (this.length - 1) * width;
+                const y = top + height / 4 - sample[key] * height / 4 * 0.9;
+                if (i === 0) ctx.moveTo(x, y);
+                else ctx.lineTo(x, y);
+            });
+            ctx.stroke();
+        };
+        trace('rawTilt', 0, 'rgba(255, 0, 85, 0.6)');
+        trace('tilt', 0, '#00ff88');
+        trace('rawPedal', height / 2, 'rgba(255, 0, 85, 0.6)');
+        trace('pedal', height / 2, '#00d4ff');
+    }
+}
+
+// Draws what the game makes of the hand over the webcam preview: the tilt
+// arc with its dead zone, which fingers count as extended, progress toward
+// a wave, and framing warnings
+class PreviewOverlay {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.mirrored = true; // The preview is flipped with CSS, so text must be flipped back
+    }
+
+    // Normalized image point to canvas pixels
+    px(p) { return { x: p.x * this.canvas.width, y: p.y * this.canvas.height }; }
+
+    // Point at `radius` (normalized units) from centre along angle, measured
+    // in normalized image space like the hand angles are
+    polar(centre, angle, radius) {
+        return this.px({ x: centre.x + Math.cos(angle) * radius, y: centre.y + Math.sin(angle) * radius });
+    }
+
+    // Text that reads the right way round in the (mirrored) preview; x is
+    // where it appears on screen
+    text(str, x, y, color, align = 'center') {
+        const ctx = this.ctx;
+        ctx.save();
+        if (this.mirrored) {
+            ctx.translate(this.canvas.width, 0);
+            ctx.scale(-1, 1);
+        }
+        ctx.font = 'bold 11px Inter, sans-serif';
+        ctx.textAlign = align;
+        ctx.fillStyle = color;
+        ctx.fillText(str, x, y);
+        ctx.restore();
+    }
+
+    // tilt: { centre, neutral, range, deadZone, angle } in radians, or null
+    draw(landmarks, tilt, ratios, wave) {
+        if (tilt) this.drawTiltArc(tilt);
+        if (ratios) this.drawFingers(landmarks, ratios);
+        this.drawWaveProgress(wave.count, wave.threshold);
+        this.drawFraming(landmarks);
+    }
+
+    drawTiltArc({ centre, neutral, range, deadZone, angle }) {
+        const ctx = this.ctx;
+        const radius = 0.15;
+        const arc = (from, to, color, width) => {
+            ctx.strokeStyle = color;
+            ctx.lineWidth = width;
+            ctx.beginPath();
+            for (let i = 0; i <= 16; i++) {
+                const p = this.polar(centre, from + (to - from) * i / 16, radius);
+                if (i === 0) ctx.moveTo(p.x, p.y);
+                else ctx.lineTo(p.x, p.y);
+            }
+            ctx.stroke();
+        };
+        arc(neutral - range, neutral + range, 'rgba(255, 255, 255, 0.35)', 3);
+        arc(neutral - deadZone, neutral + deadZone, 'rgba(255, 215, 0, 0.8)', 5);
+
+        const offset = Math.max(-range, Math.min(range, angle - neutral));
+        const inDeadZone = Math.abs(offset) < deadZone;
+        const from = this.px(centre);
+        const to = this.polar(centre, neutral + offset, radius * 1.2);
+        ctx.strokeStyle = inDeadZone ? '#ffd700' : '#00ff88';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(from.x, from.y);
+        ctx.lineTo(to.x, to.y);
+        ctx.stroke();
+    }
+
+    // Tip dot per finger: green extended, red curled, amber in between
+    drawFingers(landmarks, ratios) {
+        const c = CONFIG.GESTURE.CLASSIFIER;
+        [8, 12, 16, 20].forEach((tip, i) => {
+            const p = this.px(landmarks[tip]);
+            this.ctx.fillStyle = ratios[i] > c.EXTENDED ? '#00ff88' : (ratios[i] < c.CURLED ? '#ff0055' : '#ffd700');
+            this.ctx.beginPath();
+            this.ctx.arc(p.x, p.y, 5, 0, Math.PI * 2);
+            this.ctx.fill();
+        });
+    }
+
+    drawWaveProgress(count, threshold) {
+        const ctx = this.ctx;
+        this.text('WAVE', 6, 14, 'rgba(255, 255, 255, 0.7)', 'left');
+        for (let i = 0; i < threshold; i++) {
+            const x = 46 + i * 12;
+            const dot = this.mirrored ? this.canvas.width - x : x;
+            ctx.fillStyle = i < count ? '#00ff88' : 'rgba(255, 255, 255, 0.25)';
+            ctx.beginPath();
+            ctx.arc(dot, 10, 4, 0, Math.PI * 2);
+            ctx.fill();
+        }
+    }
+
+    drawFraming(landmarks) {
+        const p = CONFIG.GESTURE.PREVIEW;
+        const xs = landmarks.map(l => l.x);
+        const ys = landmarks.map(l => l.y);
+        const size = Math.max(Math.max(...xs) - Math.min(...xs), Math.max(...ys) - Math.min(...ys));
+        let warning = null;
+        if (landmarks.some(l => l.x < p.EDGE || l.x > 1 - p.EDGE || l.y < p.EDGE || l.y > 1 - p.EDGE)) warning = 'Hand partly out of frame';
+        else if (size > p.TOO_CLOSE) warning = 'Too close: move back';
+        else if (size < p.TOO_FAR) warning = 'Too far: move closer';
+        if (!warning) return;
+
+        const ctx = this.ctx;
+        const h = this.canvas.height;
+        ctx.fillStyle = 'rgba(255, 0, 85, 0.75)';
+        ctx.fillRect(0, h - 20, this.canvas.width, 20);
+        this.text('⚠ ' + warning, this.canvas.width / 2, h - 6, '#fff');
+    }
+}
+
+// Webcam and hand-tracking model settings, saved in localStorage
+class CameraSettings {
+    constructor() {
+        this.storageKey = 'gestureRiderCamera';
+        this.values = CameraSettings.defaults();
+
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey));
+            if (saved) {
+                for (const key in this.values) {
+                    if (typeof saved[key] === typeof this.values[key]) this.values[key] = saved[key];
+                }
+            }
+        } catch (e) {
+            console.warn('Ignoring corrupt camera settings', e);
+        }
+    }
+
+    static defaults() {
+        const c = CONFIG.CAMERA;
+        return {
+            deviceId: '', // '' = browser's default camera
+            width: c.WIDTH,
+            height: c.HEIGHT,
+            modelComplexity: c.MODEL_COMPLEXITY,
+            detectionConfidence: c.DETECTION_CONFIDENCE,
+            trackingConfidence: c.TRACKING_CONFIDENCE,
+            mirror: c.MIRROR
+        };
+    }
+
+    update(changes) {
+        Object.assign(this.values, changes);
+        localStorage.setItem(this.storageKey, JSON.stringify(this.values));
+    }
+}
+
+// Feeds webcam frames to a callback once per animation frame. Stands in for
+// MediaPipe's Camera helper, which can't choose between cameras.
+class CameraFeed {
+    constructor(video, onFrame) {
+        this.video = video;
+        this.onFrame = onFrame;
+        this.onError = null; // Called (and the feed stopped) if a frame fails
+        this.stream = null;
+        this.generation = 0; // Bumped on every start/stop so an old loop ends
+    }
+
+    async start({ deviceId, width, height }) {
+        this.stop();
+        const generation = this.generation;
+        const constraints = { width: { ideal: width }, height: { ideal: height } };
+        if (deviceId) constraints.deviceId = { exact: deviceId };
+        const stream = await navigator.mediaDevices.getUserMedia({ video: constraints, audio: false });
+        if (generation !== this.generation) {
+            // Stopped or restarted while waiting for permission
+            stream.getTracks().forEach(track => track.stop());
+            return;
+        }
+        this.stream = stream;
+        this.video.srcObject = stream;
+        await this.video.play();
+
+        const loop = async () => {
+            if (generation !== this.generation) return;
+            if (this.video.readyState >= 2) {
+                try {
+                    await this.onFrame();
+                } catch (e) {
+                    this.stop();
+                    if (this.onError) this.onError(e);
+                    else console.error(e);
+                    return;
+                }
+            }
+            requestAnimationFrame(loop);
+        };
+        loop();
+    }
+
+    stop() {
+        this.generation++;
+        if (this.stream) this.stream.getTracks().forEach(track => track.stop());
+        this.stream = null;
+    }
+
+    // Device id of the camera actually in use
+    get deviceId() {
+        const track = this.stream && this.stream.getVideoTracks()[0];
+        return track && track.getSettings ? track.getSettings().deviceId || '' : '';
+    }
+
+    // Video inputs (labels are only filled in once camera access is granted)
+    static async devices() {
+        if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) return [];
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        return devices.filter(device => device.kind === 'videoinput');
+    }
+}
+
+class InputSystem {
+    constructor() {
+        this.gesture = { tilt: 0, rawTilt: 0, throttle: 0, brake: 0, rawPedal: 0, openness: 0, active: false };
+        this.classifier = new GestureClassifier();
+
+        // Filtering: smoothed tilt, debounced pedals and a debug plot
+        const filter = CONFIG.GESTURE.FILTER;
+        this.tiltFilter = new OneEuroFilter(filter.MIN_CUTOFF, filter.BETA, filter.D_CUTOFF);
+        this.pedal = new PedalState();
+        this.lastSample = 0;    // When the last hand reading arrived
+        this.graph = new GestureGraph(document.getElementById('g-graph'));
+        this.waveProgress = 0;  // Direction changes so far toward a wave
+
+        // Two-hand handlebar mode
+        this.handMode = localStorage.getItem('gestureRiderHandMode') === 'two' ? 'two' : 'one';
+        this.twoHands = false;  // Both hands are steering right now
+        this.handover = 0;      // Frames left easing between one- and two-hand control
+        this.handoverFrom = null; // Tilt and pedals the handover eases away from
+
+        // Fallback sources, used when no hand is tracked
+        this.bindings = new KeyBindings();
+        this.keyboard = new KeyboardSource(this.bindings);
+        this.gamepad = new GamepadSource();
+        this.touch = new TouchSource();
+        this.sources = [this.keyboard, this.gamepad, this.touch];
+        this.sourceName = null;
+        this.command = { steer: 0, accel: 0, brake: 0 }; // Last command handed out
+        this.onAction = null; // Callback for 'pause' / 'restart' requests
+        this.keyboard.onAction = this.touch.onAction = (action) => { if (this.onAction) this.onAction(action); };
         
-        this.step = this.step.bind(this);
-        this.lastTime = performance.now();
+        // Wave gesture detection
+        this.waveHistory = [];
+        this.waveThreshold = 3; // Number of direction changes needed
+        this.waveTimeWindow = 1500; // Time window in ms
+        this.lastWaveTime = 0;
+        this.waveCooldown = 1000; // Cooldown between wave detections
+        this.onWaveDetected = null; // Callback for wave gesture
+
+        // Pause gesture and tracking loss
+        this.pausePose = null;      // Where and since when a flat palm has been held
+        this.pauseLatched = false;  // Fired; waiting for the hand to leave the pose
+        this.handLostAt = null;     // When a tracked hand went missing
+
+        // Calibration profiles (per-user gesture thresholds)
+        this.profiles = new GestureProfiles();
+        this.calibration = null; // Active CalibrationWizard, if any
+
+        this.videoElement = document.getElementById('input_video');
+        this.canvasPreview = document.getElementById('webcam-preview');
+        this.ctxPreview = this.canvasPreview.getContext('2d');
+        this.overlay = new PreviewOverlay(this.canvasPreview);
         
-        document.getElementById('restart-btn').addEventListener('click', () => this.restart());
+        // Hand-tracking rate and time per frame, shown in the gesture panel
+        this.perf = { frames: 0, since: performance.now(), latency: 0 };
+
+        // Hand tracking is optional: MediaPipe is only loaded by startGestures()
+        this.cameraSettings = new CameraSettings();
+        this.hands = null;
+        this.onGestureError = null; // Callback when tracking fails while running
+        this.camera = new CameraFeed(this.videoElement, async () => {
+            const start = performance.now();
+            await this.hands.send({image: this.videoElement});
+            this.recordInference(performance.now() - start);
+        });
+        this.camera.onError = (e) => this.trackingFailed(e);
+        this.applyMirror();
     }
 
-    restart() {
-        document.getElementById('game-over-screen').classList.add('hidden');
-        this.resetRoad();
-        this.speed = 0;
-        this.score = 0;
-        this.distanceRun = 0;
-        this.position = 0;
-        this.playerX = 0;
-        this.isGameOver = false;
-        this.isPlaying = true;
-        this.lastTime = performance.now();
-        this.audio.resume();
-        this.audio.update(0);
-        requestAnimationFrame(this.step);
-    }
-
-    resetRoad() {
-        this.segments = [];
-        const TOTAL_SEGMENTS = 2000; 
-        for (let i = 0; i < TOTAL_SEGMENTS; i++) {
-            const curve = (i > 100 && i < 300) ? 2 : (i > 500 && i < 700) ? -3 : (i > 1000 && i < 1200) ? 4 : (i > 1500 && i < 1700) ? -2 : 0;
-            this.segments.push({
-                index: i,
-                p1: { world: { y:0, z: i * CONFIG.SEGMENT_LENGTH }, camera: {}, screen: {} },
-                p2: { world: { y:0, z: (i + 1) * CONFIG.SEGMENT_LENGTH }, camera: {}, screen: {} },
-                color: Math.floor(i / 3) % 2 ? CONFIG.COLORS.ROAD_DARK : CONFIG.COLORS.ROAD_LIGHT,
-                curve: curve,
-                cars: [],
-                sprites: []
+    // Load MediaPipe (until it has loaded once) and start the camera.
+    // Rejects with a GestureError; the other input sources work regardless,
+    // and calling it again retries.
+    async startGestures() {
+        if (!this.hands) {
+            let hands;
+            try {
+                await MediaPipeLoader.load();
+                hands = new Hands({locateFile: MediaPipeLoader.locateFile});
+            } catch (e) {
+                throw new GestureError('script', e.message);
+            }
+            hands.setOptions(this.handsOptions());
+            hands.onResults(this.onHandsResults.bind(this));
+            try {
+                await hands.initialize();
+            } catch (e) {
+                throw new GestureError('model', e.message || String(e));
+            }
+            this.hands = hands;
+        }
+        try {
+            await this.startCamera();
+        } catch (e) {
+            if (e.name === 'NotAllowedError' || e.name === 'SecurityError') throw new GestureError('permission', e.message);
+            if (e.name === 'NotFoundError' || e.name === 'OverconstrainedError') throw new GestureError('no-camera', e.message);
+            throw new GestureError('camera', e.message);
+        }
+        document.getElementById('g-status').innerText = "No Hand";
+    }
+
+    // (Re)start the webcam. The old stream stops first, so the gesture is
+    // dropped rather than left frozen if the new one never arrives. A saved
+    // camera that has gone missing is forgotten for the browser's default.
+    async startCamera() {
+        this.dropGesture();
+        const cam = this.cameraSettings.values;
+        try {
+            await this.camera.start(cam);
+        } catch (e) {
+            if (!cam.deviceId || (e.name !== 'OverconstrainedError' && e.name !== 'NotFoundError')) throw e;
+            console.warn('Saved camera not available, using the default one', e);
+            this.cameraSettings.update({ deviceId: '' });
+            await this.camera.start(this.cameraSettings.values);
+        }
+    }
+
+    // Stop steering from the hand until the next reading. It counts as
+    // lost, so a run in progress auto-pauses.
+    dropGesture() {
+        if (this.gesture.active) this.handLostAt = performance.now();
+        this.gesture.active = false;
+        this.gesture.throttle = 0;
+        this.gesture.brake = 0;
+    }
+
+    // MediaPipe died mid-run: drop back to the other inputs; startGestures()
+    // starts over.
+    trackingFailed(error) {
+        console.error(error);
+        this.dropGesture();
+        // close() may throw or reject on a broken graph; there's nothing left to clean up
+        const hands = this.hands;
+        this.hands = null;
+        if (hands) Promise.resolve().then(() => hands.close()).catch(() => {});
+        document.getElementById('g-status').innerText = "Off";
+        document.getElementById('g-status').style.color = "#ff0055";
+        if (this.onGestureError) this.onGestureError(new GestureError('tracking', error.message || String(error)));
+    }
+
+    handsOptions() {
+        const cam = this.cameraSettings.values;
+        return {
+            maxNumHands: this.handMode === 'two' ? 2 : 1,
+            modelComplexity: cam.modelComplexity,
+            minDetectionConfidence: cam.detectionConfidence,
+            minTrackingConfidence: cam.trackingConfidence
+        };
+    }
+
+    // Save changed camera settings and apply them without a reload: model
+    // options straight away, the stream restarted if the device or
+    // resolution changed (once hand tracking is running)
+    async applyCameraSettings(changes) {
+        const before = Object.assign({}, this.cameraSettings.values);
+        this.cameraSettings.update(changes);
+        const cam = this.cameraSettings.values;
+        this.applyMirror();
+        if (!this.hands) return;
+        this.hands.setOptions(this.handsOptions());
+        if (cam.deviceId !== before.deviceId || cam.width !== before.width || cam.height !== before.height) {
+            await this.startCamera();
+        }
+    }
+
+    applyMirror() {
+        const mirror = this.cameraSettings.values.mirror;
+        this.canvasPreview.classList.toggle('unmirrored', !mirror);
+        this.overlay.mirrored = mirror;
+    }
+
+    recordInference(ms) {
+        const perf = this.perf;
+        perf.latency = perf.latency ? perf.latency * 0.9 + ms * 0.1 : ms;
+        perf.frames++;
+        const now = performance.now();
+        if (now - perf.since >= 1000) {
+            const fps = perf.frames * 1000 / (now - perf.since);
+            document.getElementById('g-perf').innerText = `${Math.round(fps)} fps · ${Math.round(perf.latency)} ms`;
+            perf.frames = 0;
+            perf.since = now;
+        }
+    }
+
+    // 'one' (single-hand roll) or 'two' (handlebars between both wrists)
+    setHandMode(mode) {
+        this.handMode = mode;
+        localStorage.setItem('gestureRiderHandMode', mode);
+        if (this.hands) this.hands.setOptions(this.handsOptions());
+    }
+
+    onHandsResults(results) {
+        this.ctxPreview.save();
+        this.ctxPreview.clearRect(0, 0, this.canvasPreview.width, this.canvasPreview.height);
+        this.ctxPreview.drawImage(results.image, 0, 0, this.canvasPreview.width, this.canvasPreview.height);
+        
+        if (results.multiHandLandmarks && results.multiHandLandmarks.length > 0) {
+            const landmarks = results.multiHandLandmarks[0];
+            const bars = this.handMode === 'two' && !this.calibration ? this.findHandlebars(results) : null;
+            this.drawHands(results.multiHandLandmarks, bars);
+
+            // Switching between one and two hands eases over a few frames
+            // instead of jumping to the other mode's reading
+            if ((bars !== null) !== this.twoHands) {
+                this.twoHands = bars !== null;
+                this.handover = CONFIG.GESTURE.TWO_HAND.HANDOVER;
+                this.handoverFrom = { tilt: this.gesture.tilt, throttle: this.gesture.throttle, brake: this.gesture.brake };
+            }
+            if (bars) this.processHandlebars(bars.left, bars.right);
+            else this.processGesture(landmarks);
+            this.filterGesture();
+            this.drawGuidance(landmarks, bars);
+
+            if (this.calibration) {
+                this.calibration.handleLandmarks(landmarks);
+            } else {
+                this.detectWaveGesture(landmarks);
+                this.detectPauseGesture(landmarks);
+            }
+            this.gesture.active = true;
+            this.handLostAt = null;
+            document.getElementById('g-status').innerText = bars ? "Two Hands" : "Tracking";
+            document.getElementById('g-status').style.color = "#00ff88";
+        } else {
+            if (this.gesture.active) this.handLostAt = performance.now();
+            this.gesture.active = false;
+            this.gesture.tilt *= 0.9;
+            this.gesture.throttle = 0;
+            this.gesture.brake = 0;
+            this.twoHands = false;
+            this.handover = 0;
+            this.classifier.reset();
+            this.tiltFilter.reset();
+            this.pedal.reset();
+            if (this.calibration) this.calibration.handleMissing();
+            document.getElementById('g-status').innerText = "No Hand";
+            document.getElementById('g-status').style.color = "#ff0055";
+        }
+        this.ctxPreview.restore();
+    }
+
+    // Hand landmarks in the preview; with handlebars the two hands get
+    // their own colours and the bar between the wrists is drawn
+    drawHands(hands, bars) {
+        if (!bars) {
+            hands.forEach(landmarks => {
+                drawConnectors(this.ctxPreview, landmarks, HAND_CONNECTIONS, {color: '#00FF00', lineWidth: 2});
+                drawLandmarks(this.ctxPreview, landmarks, {color: '#FF0000', lineWidth: 1});
             });
+            return;
+        }
+        const w = this.canvasPreview.width;
+        const h = this.canvasPreview.height;
+        this.ctxPreview.strokeStyle = '#FFD700';
+        this.ctxPreview.lineWidth = 4;
+        this.ctxPreview.beginPath();
+        this.ctxPreview.moveTo(bars.left[0].x * w, bars.left[0].y * h);
+        this.ctxPreview.lineTo(bars.right[0].x * w, bars.right[0].y * h);
+        this.ctxPreview.stroke();
+        drawConnectors(this.ctxPreview, bars.left, HAND_CONNECTIONS, {color: '#00D4FF', lineWidth: 2});
+        drawLandmarks(this.ctxPreview, bars.left, {color: '#FF0055', lineWidth: 1});
+        drawConnectors(this.ctxPreview, bars.right, HAND_CONNECTIONS, {color: '#00FF00', lineWidth: 2});
+        drawLandmarks(this.ctxPreview, bars.right, {color: '#FF0000', lineWidth: 1});
+    }
+
+    // Interpretation of the steering hand (or the handlebars) over the preview
+    drawGuidance(landmarks, bars) {
+        const wave = { count: this.waveProgress, threshold: this.waveThreshold };
+        if (bars) {
+            const l = bars.left[0];
+            const r = bars.right[0];
+            const b = CONFIG.GESTURE.TWO_HAND;
+            const tilt = { centre: { x: (l.x + r.x) / 2, y: (l.y + r.y) / 2 }, neutral: 0, range: b.MAX_ANGLE, deadZone: b.DEAD_ZONE * b.MAX_ANGLE, angle: Math.atan2(l.y - r.y, l.x - r.x) };
+            this.overlay.draw(landmarks, tilt, null, wave);
+            return;
+        }
+        const profile = this.profiles.active;
+        const hand = this.measureHand(landmarks);
+        const tilt = { centre: landmarks[0], neutral: profile.neutralAngle, range: profile.maxTilt, deadZone: profile.deadZone * profile.maxTilt, angle: hand.angle };
+        this.overlay.draw(landmarks, tilt, hand.ratios, wave);
+    }
+
+    // The rider's left and right hands when two are tracked, else null.
+    // MediaPipe labels handedness as if the image were mirrored; camera
+    // frames aren't, so its 'Left' is the rider's right hand. If the labels
+    // don't tell them apart, the right hand is the one further left in frame.
+    findHandlebars(results) {
+        const hands = results.multiHandLandmarks;
+        if (hands.length < 2) return null;
+        const labels = (results.multiHandedness || []).slice(0, 2).map(h => h.label);
+        let right = labels.indexOf('Left');
+        if (right === -1 || labels[1 - right] !== 'Right') right = hands[0][0].x < hands[1][0].x ? 0 : 1;
+        return { left: hands[1 - right], right: hands[right] };
+    }
+
+    // Two-hand mode: the bar between the wrists steers, right-hand grip is
+    // throttle and left-hand grip is brake
+    processHandlebars(left, right) {
+        const bars = CONFIG.GESTURE.TWO_HAND;
+        // Left wrist dropping below the right turns left (positive steer)
+        const angle = Math.atan2(left[0].y - right[0].y, left[0].x - right[0].x);
+        this.gesture.tilt = Math.max(-1, Math.min(1, angle / bars.MAX_ANGLE));
+        if (Math.abs(this.gesture.tilt) < bars.DEAD_ZONE) this.gesture.tilt = 0;
+        document.getElementById('g-tilt').innerText = (this.gesture.tilt * 90).toFixed(0) + "°";
+
+        const grip = (landmarks) => {
+            const closed = 1 - this.openness(this.measureHand(landmarks).ratios);
+            return closed > bars.GRIP_DEAD_ZONE ? (closed - bars.GRIP_DEAD_ZONE) / (1 - bars.GRIP_DEAD_ZONE) : 0;
+        };
+        this.gesture.throttle = grip(right);
+        this.gesture.brake = grip(left);
+        this.gesture.rawPedal = this.gesture.throttle - this.gesture.brake;
+        this.gesture.openness = 1 - this.gesture.throttle;
+        this.classifier.reset();
+
+        let actionText = "Coast";
+        if (this.gesture.brake > 0) actionText = "BRAKE " + Math.round(this.gesture.brake * 100) + "%";
+        else if (this.gesture.throttle > 0) actionText = "ACCEL " + Math.round(this.gesture.throttle * 100) + "%";
+        document.getElementById('g-action').innerText = actionText;
+    }
+
+    // Smooth the tilt just measured and plot raw against filtered values.
+    // A handover crossfades the reading before the tilt filter sees it, and
+    // ends exactly on the new mode's reading, so nothing jumps afterwards.
+    filterGesture() {
+        const now = performance.now();
+        this.lastSample = now;
+        this.gesture.rawTilt = this.gesture.tilt;
+        if (this.handover > 0) {
+            this.handover--;
+            const mix = 1 - this.handover / CONFIG.GESTURE.TWO_HAND.HANDOVER;
+            const from = this.handoverFrom;
+            for (const key in from) this.gesture[key] = from[key] + (this.gesture[key] - from[key]) * mix;
+        }
+        this.gesture.tilt = this.tiltFilter.filter(this.gesture.tilt, now / 1000);
+        this.graph.push({
+            rawTilt: this.gesture.rawTilt,
+            tilt: this.gesture.tilt,
+            rawPedal: this.gesture.rawPedal,
+            pedal: this.gesture.throttle - this.gesture.brake
+        });
+    }
+
+    // Filtered tilt extrapolated along its current rate of change, to make
+    // up for the time the camera frame spent being captured and processed
+    predictedTilt() {
+        const filter = CONFIG.GESTURE.FILTER;
+        const ahead = Math.min(filter.MAX_PREDICT, filter.PREDICT + (performance.now() - this.lastSample) / 1000);
+        return Math.max(-1, Math.min(1, this.gesture.tilt + this.tiltFilter.velocity * ahead));
+    }
+
+    // Continuous openness: 0 = calibrated fist, 1 = calibrated open palm
+    openness(ratios) {
+        const profile = this.profiles.active;
+        const meanRatio = ratios.reduce((a, b) => a + b, 0) / ratios.length;
+        const range = Math.max(0.05, profile.openRatio - profile.fistRatio);
+        return Math.max(0, Math.min(1, (meanRatio - profile.fistRatio) / range));
+    }
+
+    processGesture(landmarks) {
+        const profile = this.profiles.active;
+        const hand = this.measureHand(landmarks);
+
+        let tilt = (hand.angle - profile.neutralAngle);
+        this.gesture.tilt = Math.max(-1, Math.min(1, tilt / profile.maxTilt));
+        
+        if(Math.abs(this.gesture.tilt) < profile.deadZone) this.gesture.tilt = 0;
+        document.getElementById('g-tilt').innerText = (this.gesture.tilt * 90).toFixed(0) + "°";
+
+        const openness = this.openness(hand.ratios);
+        this.gesture.openness = openness;
+        const range = Math.max(0.05, profile.openRatio - profile.fistRatio);
+
+        // Throttle above the neutral band, brake pressure below it
+        const centre = Math.max(0.2, Math.min(0.8, (profile.extensionRatio - profile.fistRatio) / range));
+        const bandTop = Math.min(0.95, centre + CONFIG.GESTURE.NEUTRAL_BAND / 2);
+        const bandBottom = Math.max(0.05, centre - CONFIG.GESTURE.NEUTRAL_BAND / 2);
+
+        // Unfiltered reading, for the debug graph
+        if (openness > bandTop) this.gesture.rawPedal = (openness - bandTop) / (1 - bandTop);
+        else if (openness < bandBottom) this.gesture.rawPedal = -(bandBottom - openness) / bandBottom;
+        else this.gesture.rawPedal = 0;
+
+        // Pressure is measured from where the state would be left, so it
+        // doesn't drop to zero inside the hysteresis margin
+        const now = performance.now();
+        const margin = CONFIG.GESTURE.FILTER.HYSTERESIS / 2;
+        const pedal = this.pedal.update(openness, bandTop, bandBottom, now);
+        let actionText = "Coast";
+        if (!this.calibration) this.classifier.update(landmarks, hand.ratios, now);
+        const pose = this.calibration ? null : this.classifier.candidate;
+        if (pose) {
+            // Fingers are busy with a gesture: keep the pedals where they were
+            actionText = this.classifier.pose ? CONFIG.GESTURE.ACTIONS[pose].toUpperCase() : "…";
+        } else if (pedal === 'accel') {
+            const from = bandTop - margin;
+            this.gesture.throttle = Math.max(0, (openness - from) / (1 - from));
+            this.gesture.brake = 0;
+            actionText = "ACCEL " + Math.round(this.gesture.throttle * 100) + "%";
+        } else if (pedal === 'brake') {
+            const from = bandBottom + margin;
+            this.gesture.throttle = 0;
+            this.gesture.brake = Math.max(0, (from - openness) / from);
+            actionText = "BRAKE " + Math.round(this.gesture.brake * 100) + "%";
+        } else {
+            this.gesture.throttle = 0;
+            this.gesture.brake = 0;
+        }
+        document.getElementById('g-action').innerText = actionText;
+    }
+
+    // Raw hand measurements: roll angle (wrist -> middle finger base) and
+    // tip/PIP distance ratio from the wrist for each finger
+    measureHand(landmarks) {
+        const wrist = landmarks[0];
+        const middleBase = landmarks[9];
+        const angle = Math.atan2(middleBase.y - wrist.y, middleBase.x - wrist.x);
+
+        const tips = [8, 12, 16, 20];
+        const pips = [6, 10, 14, 18];
+        const ratios = [];
+        for(let i=0; i<4; i++) {
+            const dTip = this.dist(wrist, landmarks[tips[i]]);
+            const dPip = this.dist(wrist, landmarks[pips[i]]);
+            ratios.push(dPip > 0 ? dTip / dPip : 0);
+        }
+        return { angle, ratios };
+    }
+
+    dist(p1, p2) { return Math.sqrt(Math.pow(p1.x - p2.x, 2) + Math.pow(p1.y - p2.y, 2)); }
+
+    detectWaveGesture(landmarks) {
+        const now = Date.now();
+        const wrist = landmarks[0];
+        
+        // Add current position to history
+        this.waveHistory.push({
+            x: wrist.x,
+            time: now
+        });
+        
+        // Remove old entries outside time window
+        this.waveHistory = this.waveHistory.filter(p => now - p.time < this.waveTimeWindow);
+        
+        // Need at least 4 points to detect wave
+        if (this.waveHistory.length < 4) return;
+        
+        // Check for direction changes (wave motion)
+        let directionChanges = 0;
+        let lastDirection = null;
+        
+        for (let i = 1; i < this.waveHistory.length; i++) {
+            const dx = this.waveHistory[i].x - this.waveHistory[i-1].x;
+            if (Math.abs(dx) > 0.02) { // Minimum movement threshold
+                const direction = dx > 0 ? 'right' : 'left';
+                if (lastDirection && direction !== lastDirection) {
+                    directionChanges++;
+                }
+                lastDirection = direction;
+            }
+        }
+        
+        this.waveProgress = Math.min(directionChanges, this.waveThreshold);
+
+        // Check if wave detected and not in cooldown
+        if (directionChanges >= this.waveThreshold && (now - this.lastWaveTime) > this.waveCooldown) {
+            this.lastWaveTime = now;
+            this.waveHistory = []; // Clear history after detection
+            this.waveProgress = 0;
+            console.log('Wave gesture detected!');
+            if (this.onWaveDetected) {
+                this.onWaveDetected();
+            }
+        }
+    }
+
+    // Flat palm (facing the floor, so it looks short and wide) held still
+    // toggles pause; the hand has to leave the pose before it fires again
+    detectPauseGesture(landmarks) {
+        const now = performance.now();
+        const wrist = landmarks[0];
+        const flat = this.dist(wrist, landmarks[9]) < this.dist(landmarks[5], landmarks[17]) * CONFIG.GESTURE.PAUSE_FLAT_RATIO;
+        if (!flat) {
+            this.pausePose = null;
+            this.pauseLatched = false;
+            return;
+        }
+        if (!this.pausePose || this.dist(this.pausePose, wrist) > CONFIG.GESTURE.PAUSE_STILL) {
+            this.pausePose = { x: wrist.x, y: wrist.y, since: now };
+            return;
+        }
+        if (!this.pauseLatched && now - this.pausePose.since > CONFIG.GESTURE.PAUSE_HOLD * 1000) {
+            this.pauseLatched = true;
+            if (this.onAction) this.onAction('pause');
+        }
+    }
+
+    // Seconds since the hand that was steering went missing; 0 while a hand
+    // is tracked, if there never was one, or if another source took over
+    handLostTime() {
+        if (this.handLostAt === null) return 0;
+        if (this.sources.some(source => source.lastUsed > this.handLostAt)) return 0;
+        return (performance.now() - this.handLostAt) / 1000;
+    }
+
+    // Start the hand-lost countdown again (after a pause)
+    resetHandTimer() {
+        if (this.handLostAt !== null) this.handLostAt = performance.now();
+    }
+
+    // Forget a hand lost before the run began (dropped to click START)
+    clearHandTimer() {
+        this.handLostAt = null;
+    }
+
+    // Gesture control whenever a hand is tracked; otherwise whichever
+    // source the rider used last (the keyboard until another is touched)
+    getCommand() {
+        let cmd;
+        let name;
+        if (this.gesture.active) {
+            cmd = Object.assign({ steer: this.predictedTilt(), accel: this.gesture.throttle, brake: this.gesture.brake }, this.classifier.actions);
+            name = 'Gesture';
+        } else {
+            this.gamepad.poll();
+            const source = this.sources.reduce((best, s) => s.lastUsed > best.lastUsed ? s : best);
+            cmd = source.getCommand();
+            name = source.name;
+        }
+        if (name !== this.sourceName) {
+            this.sourceName = name;
+            document.getElementById('g-source').innerText = name;
+        }
+        this.command = cmd;
+        return cmd;
+    }
+}
+
+/**
+ * ------------------------------------------------------------------
+ * GESTURE CALIBRATION (Per-user profiles)
+ * ------------------------------------------------------------------
+ */
+class GestureProfiles {
+    constructor() {
+        this.storageKey = 'gestureRiderProfiles';
+        this.profiles = {};
+        this.activeName = null;
+
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey));
+            if (saved && saved.profiles) {
+                this.profiles = saved.profiles;
+                this.activeName = saved.active in saved.profiles ? saved.active : null;
+            }
+        } catch (e) {
+            console.warn('Ignoring corrupt gesture profiles', e);
+        }
+    }
+
+    static defaults() {
+        return {
+            neutralAngle: CONFIG.GESTURE.NEUTRAL_ANGLE,
+            maxTilt: CONFIG.GESTURE.MAX_TILT,
+            deadZone: CONFIG.GESTURE.DEAD_ZONE,
+            extensionRatio: CONFIG.GESTURE.EXTENSION_RATIO,
+            openRatio: CONFIG.GESTURE.OPEN_RATIO,
+            fistRatio: CONFIG.GESTURE.FIST_RATIO
+        };
+    }
+
+    // Active profile values, falling back to the built-in defaults
+    get active() {
+        const profile = this.activeName ? this.profiles[this.activeName] : null;
+        return Object.assign(GestureProfiles.defaults(), profile);
+    }
+
+    names() { return Object.keys(this.profiles).sort(); }
+
+    setActive(name) {
+        this.activeName = name in this.profiles ? name : null;
+        this.persist();
+    }
+
+    save(name, values) {
+        this.profiles[name] = values;
+        this.activeName = name;
+        this.persist();
+    }
+
+    remove(name) {
+        delete this.profiles[name];
+        if (this.activeName === name) this.activeName = null;
+        this.persist();
+    }
+
+    persist() {
+        localStorage.setItem(this.storageKey, JSON.stringify({ active: this.activeName, profiles: this.profiles }));
+    }
+}
+
+class CalibrationWizard {
+    constructor(input) {
+        this.input = input;
+        this.onClose = null; // Callback when the wizard is closed (saved or cancelled)
+
+        this.settleTime = 1000; // ms to get into pose before sampling
+        this.sampleTime = 1500; // ms of samples collected per step
+        this.steps = [
+            { key: 'neutral', title: 'Hold your hand upright', hint: 'Palm facing the camera, fingers pointing up. Keep it still.' },
+            { key: 'left', title: 'Tilt fully LEFT', hint: 'Turn your hand left like a doorknob, as far as is comfortable.' },
+            { key: 'right', title: 'Tilt fully RIGHT', hint: 'Turn your hand right like a doorknob, as far as is comfortable.' },
+            { key: 'open', title: 'Open your palm wide', hint: 'Spread all fingers, hand upright.' },
+            { key: 'fist', title: 'Close your fist', hint: 'Make a relaxed fist, hand upright.' }
+        ];
+
+        this.screen = document.getElementById('calibration-screen');
+        this.stepEl = document.getElementById('calib-step');
+        this.hintEl = document.getElementById('calib-hint');
+        this.progressEl = document.getElementById('calib-progress-bar');
+        this.saveForm = document.getElementById('calib-save');
+        this.nameInput = document.getElementById('calib-name');
+
+        document.getElementById('calib-save-btn').addEventListener('click', () => this.save());
+        document.getElementById('calib-cancel-btn').addEventListener('click', () => this.close());
+    }
+
+    start() {
+        this.stepIndex = 0;
+        this.samples = {};
+        this.result = null;
+        this.saveForm.classList.add('hidden');
+        this.screen.classList.remove('hidden');
+        document.body.classList.add('calibrating');
+        this.input.calibration = this;
+        this.beginStep();
+    }
+
+    beginStep() {
+        const step = this.steps[this.stepIndex];
+        this.samples[step.key] = [];
+        this.stepStart = null; // Set when the hand is first seen
+        this.failMessage = null; // Why the last attempt failed, shown until the rider settles
+        this.stepEl.innerText = `${this.stepIndex + 1}/${this.steps.length}: ${step.title}`;
+        this.hintEl.innerText = step.hint;
+        this.progressEl.style.width = '0%';
+    }
+
+    handleLandmarks(landmarks) {
+        if (this.result || this.stepIndex >= this.steps.length) return;
+        const now = Date.now();
+        const step = this.steps[this.stepIndex];
+        if (this.stepStart === null) {
+            this.stepStart = now;
+            this.hintEl.innerText = this.failMessage || step.hint;
+        }
+
+        const elapsed = now - this.stepStart;
+        if (elapsed < this.settleTime) return;
+        if (this.failMessage) {
+            this.failMessage = null;
+            this.hintEl.innerText = step.hint;
+        }
+
+        this.samples[step.key].push(this.input.measureHand(landmarks));
+        const progress = Math.min(1, (elapsed - this.settleTime) / this.sampleTime);
+        this.progressEl.style.width = (progress * 100).toFixed(0) + '%';
+
+        if (progress >= 1) {
+            this.stepIndex++;
+            if (this.stepIndex < this.steps.length) this.beginStep();
+            else this.finish();
+        }
+    }
+
+    handleMissing() {
+        if (this.result || this.stepIndex >= this.steps.length) return;
+        // Restart the current step so every sample comes from a single steady pose
+        this.samples[this.steps[this.stepIndex].key] = [];
+        this.stepStart = null;
+        this.progressEl.style.width = '0%';
+        this.hintEl.innerText = 'Show your hand to the camera';
+    }
+
+    finish() {
+        const mean = (values) => values.reduce((a, b) => a + b, 0) / values.length;
+        const angles = (key) => this.samples[key].map(m => m.angle);
+        const openness = (key) => this.samples[key].map(m => mean(m.ratios));
+
+        const neutralAngle = mean(angles('neutral'));
+        const leftTilt = Math.abs(mean(angles('left')) - neutralAngle);
+        const rightTilt = Math.abs(mean(angles('right')) - neutralAngle);
+        // Slightly under the weaker side so full lock is reachable both ways
+        const maxTilt = Math.max(0.2, Math.min(1.5, Math.min(leftTilt, rightTilt) * 0.9));
+
+        // Dead zone covers the hand's natural jitter while holding still
+        const neutralAngles = angles('neutral');
+        const jitter = Math.sqrt(mean(neutralAngles.map(a => Math.pow(a - neutralAngle, 2))));
+        const deadZone = Math.max(0.05, Math.min(0.3, (jitter * 3) / maxTilt));
+
+        const openRatio = mean(openness('open'));
+        const fistRatio = mean(openness('fist'));
+
+        if (leftTilt < 0.15 || rightTilt < 0.15) {
+            this.fail('Tilt was too small. Try turning your hand further.');
+            return;
+        }
+        if (openRatio - fistRatio < 0.1) {
+            this.fail('Could not tell your open palm from your fist. Try again.');
+            return;
+        }
+
+        this.result = {
+            neutralAngle: neutralAngle,
+            maxTilt: maxTilt,
+            deadZone: deadZone,
+            extensionRatio: (openRatio + fistRatio) / 2,
+            openRatio: openRatio,
+            fistRatio: fistRatio
+        };
+
+        this.stepEl.innerText = 'Calibration complete';
+        this.hintEl.innerText = 'Name this profile to save it.';
+        this.progressEl.style.width = '100%';
+        this.nameInput.value = this.input.profiles.activeName || '';
+        this.saveForm.classList.remove('hidden');
+        this.nameInput.focus();
+    }
+
+    fail(message) {
+        this.stepIndex = 0;
+        this.samples = {};
+        this.beginStep();
+        this.failMessage = message;
+        this.hintEl.innerText = message;
+    }
+
+    save() {
+        const name = this.nameInput.value.trim();
+        if (!this.result || !name) {
+            this.nameInput.focus();
+            return;
+        }
+        this.input.profiles.save(name, this.result);
+        this.close();
+    }
+
+    close() {
+        this.input.calibration = null;
+        this.screen.classList.add('hidden');
+        document.body.classList.remove('calibrating');
+        if (this.onClose) this.onClose();
+    }
+}
+
+/**
+ * ------------------------------------------------------------------
+ * SETTINGS (Key bindings, camera)
+ * ------------------------------------------------------------------
+ */
+class SettingsPanel {
+    constructor(input) {
+        this.input = input;
+        this.onClose = null; // Callback when the panel is closed
+
+        this.screen = document.getElementById('settings-screen');
+        this.list = document.getElementById('binding-list');
+
+        document.getElementById('reset-bindings-btn').addEventListener('click', () => {
+            this.input.bindings.reset();
+            this.refresh();
+        });
+        document.getElementById('settings-close-btn').addEventListener('click', () => this.close());
+    }
+
+    open() {
+        this.refresh();
+        this.screen.classList.remove('hidden');
+    }
+
+    close() {
+        this.input.keyboard.capture = null;
+        this.screen.classList.add('hidden');
+        if (this.onClose) this.onClose();
+    }
+
+    // One row per action with a button for each of its two key slots
+    refresh() {
+        const bindings = this.input.bindings.bindings;
+        this.list.innerHTML = '';
+        KeyBindings.ACTIONS.forEach(({ action, label }) => {
+            const row = document.createElement('div');
+            row.className = 'binding-row';
+            const name = document.createElement('span');
+            name.innerText = label;
+            row.appendChild(name);
+            for (let slot = 0; slot < 2; slot++) {
+                const button = document.createElement('button');
+                button.className = 'binding-btn';
+                button.dataset.action = action;
+                button.dataset.slot = slot;
+                button.innerText = KeyBindings.label(bindings[action][slot]);
+                button.disabled = slot > bindings[action].length; // Fill the first slot first
+                button.addEventListener('click', () => this.capture(action, slot));
+                row.appendChild(button);
+            }
+            this.list.appendChild(row);
+        });
+        this.input.keyboard.refreshHints();
+    }
+
+    // Bind the next key pressed; Backspace/Delete clears the slot, Escape cancels
+    capture(action, slot) {
+        this.refresh();
+        const button = this.list.querySelector(`[data-action="${action}"][data-slot="${slot}"]`);
+        button.innerText = 'Press a key…';
+        button.classList.add('active');
+        this.input.keyboard.capture = (code) => {
+            if (code === 'Backspace' || code === 'Delete') {
+                if (slot < this.input.bindings.bindings[action].length) this.input.bindings.clear(action, slot);
+            } else if (code !== 'Escape') {
+                this.input.bindings.bind(action, slot, code);
+            }
+            this.refresh();
+        };
+    }
+}
+
+// Camera and hand-tracking quality; every change applies immediately
+class CameraPanel {
+    constructor(input) {
+        this.input = input;
+        this.onCameraStarted = null; // Callback when a changed setting got the camera going
+        this.screen = document.getElementById('camera-screen');
+        this.deviceSelect = document.getElementById('camera-device-select');
+        this.resolutionSelect = document.getElementById('camera-resolution-select');
+        this.modelSelect = document.getElementById('model-complexity-select');
+        this.detection = document.getElementById('detection-confidence');
+        this.tracking = document.getElementById('tracking-confidence');
+        this.mirror = document.getElementById('mirror-toggle');
+        this.status = document.getElementById('camera-status');
+
+        this.deviceSelect.addEventListener('change', () => this.apply({ deviceId: this.deviceSelect.value }));
+        this.resolutionSelect.addEventListener('change', () => {
+            const [width, height] = this.resolutionSelect.value.split('x').map(Number);
+            this.apply({ width: width, height: height });
+        });
+        this.modelSelect.addEventListener('change', () => this.apply({ modelComplexity: parseInt(this.modelSelect.value) }));
+        this.detection.addEventListener('change', () => this.apply({ detectionConfidence: parseFloat(this.detection.value) }));
+        this.tracking.addEventListener('change', () => this.apply({ trackingConfidence: parseFloat(this.tracking.value) }));
+        [this.detection, this.tracking].forEach(range => range.addEventListener('input', () => this.refreshLabels()));
+        this.mirror.addEventListener('change', () => this.apply({ mirror: this.mirror.checked }));
+        document.getElementById('camera-close-btn').addEventListener('click', () => this.close());
+    }
+
+    async open() {
+        this.refresh();
+        this.status.innerText = '';
+        this.screen.classList.remove('hidden');
+        await this.listDevices();
+    }
+
+    close() {
+        this.screen.classList.add('hidden');
+    }
+
+    refresh() {
+        const cam = this.input.cameraSettings.values;
+        const resolution = `${cam.width}x${cam.height}`;
+        if (![...this.resolutionSelect.options].some(option => option.value === resolution)) {
+            this.resolutionSelect.add(new Option(`${cam.width} × ${cam.height}`, resolution));
+        }
+        this.resolutionSelect.value = resolution;
+        this.modelSelect.value = String(cam.modelComplexity);
+        this.detection.value = cam.detectionConfidence;
+        this.tracking.value = cam.trackingConfidence;
+        this.mirror.checked = cam.mirror;
+        this.refreshLabels();
+    }
+
+    refreshLabels() {
+        document.getElementById('detection-confidence-val').innerText = Number(this.detection.value).toFixed(2);
+        document.getElementById('tracking-confidence-val').innerText = Number(this.tracking.value).toFixed(2);
+    }
+
+    async listDevices() {
+        const devices = await CameraFeed.devices();
+        const current = this.input.cameraSettings.values.deviceId || this.input.camera.deviceId;
+        this.deviceSelect.innerHTML = '';
+        this.deviceSelect.add(new Option('Default camera', ''));
+        devices.forEach((device, i) => this.deviceSelect.add(new Option(device.label || `Camera ${i + 1}`, device.deviceId)));
+        this.deviceSelect.value = devices.some(device => device.deviceId === current) ? current : '';
+    }
+
+    async apply(changes) {
+        this.status.innerText = 'Applying…';
+        try {
+            await this.input.applyCameraSettings(changes);
+            this.status.innerText = this.input.hands ? '' : 'Saved. Used once the camera starts.';
+            if (this.input.camera.stream && this.onCameraStarted) this.onCameraStarted();
+            if ('deviceId' in changes) await this.listDevices();
+        } catch (e) {
+            console.error(e);
+            this.status.innerText = `Camera error: ${e.message}`;
+        }
+    }
+}
+
+/**
+ * ------------------------------------------------------------------
+ * VISUAL EFFECTS (Particles)
+ * ------------------------------------------------------------------
+ */
+class ParticleSystem {
+    constructor(ctx, width, height) {
+        this.ctx = ctx;
+        this.width = width;
+        this.height = height;
+        this.particles = [];
+        this.maxParticles = 50;
+        this.debris = [];
+        this.drops = [];
+        this.maxDrops = 300;
+    }
+
+    // Rain streaks over the whole view, blown outward as the bike speeds up
+    drawRain(intensity, speedRatio) {
+        const count = Math.round(this.maxDrops * intensity);
+        while (this.drops.length < count) {
+            this.drops.push({ x: Math.random() * this.width, y: Math.random() * this.height, speed: 15 + Math.random() * 10 });
+        }
+        this.drops.length = count;
+        if (count === 0) return;
+
+        const centerX = this.width / 2;
+        this.ctx.strokeStyle = 'rgba(180, 200, 230, 0.35)';
+        this.ctx.lineWidth = 1;
+        this.ctx.beginPath();
+        for (const drop of this.drops) {
+            const drift = (drop.x - centerX) / centerX * speedRatio * 8;
+            drop.x += drift;
+            drop.y += drop.speed;
+            if (drop.y > this.height || drop.x < 0 || drop.x > this.width) {
+                drop.x = Math.random() * this.width;
+                drop.y = -20;
+            }
+            this.ctx.moveTo(drop.x, drop.y);
+            this.ctx.lineTo(drop.x - drift * 2, drop.y - drop.speed * 1.5);
+        }
+        this.ctx.stroke();
+    }
+
+    // Fling bike parts up and out from the bottom of the screen
+    burst(count) {
+        const colors = ['#cccccc', '#555555', '#00ff88', '#ff3366'];
+        for (let i = 0; i < count; i++) {
+            const angle = -Math.PI * (0.15 + Math.random() * 0.7);
+            const speed = 6 + Math.random() * 14;
+            this.debris.push({
+                x: this.width / 2 + (Math.random() - 0.5) * 200,
+                y: this.height * 0.85,
+                vx: Math.cos(angle) * speed,
+                vy: Math.sin(angle) * speed,
+                size: 3 + Math.random() * 8,
+                spin: Math.random() * Math.PI,
+                color: colors[i % colors.length],
+                life: 1
+            });
+        }
+    }
+
+    // rate scales the motion, so debris slows down with the crash slow motion
+    drawDebris(rate = 1) {
+        for (let i = this.debris.length - 1; i >= 0; i--) {
+            const p = this.debris[i];
+            p.x += p.vx * rate;
+            p.y += p.vy * rate;
+            p.vy += 0.5 * rate;
+            p.spin += 0.2 * rate;
+            p.life -= 0.01 * rate;
+            if (p.life <= 0 || p.y > this.height) {
+                this.debris.splice(i, 1);
+                continue;
+            }
+
+            this.ctx.save();
+            this.ctx.globalAlpha = p.life;
+            this.ctx.translate(p.x, p.y);
+            this.ctx.rotate(p.spin);
+            this.ctx.fillStyle = p.color;
+            this.ctx.fillRect(-p.size / 2, -p.size / 4, p.size, p.size / 2);
+            this.ctx.restore();
+        }
+    }
+
+    updateAndDraw(speedRatio) {
+        if (speedRatio < 0.5) return; // Only show speed lines at high speed
+
+        // Spawn particles
+        if (this.particles.length < this.maxParticles && Math.random() > 0.5) {
+            this.particles.push({
+                x: Math.random() * this.width,
+                y: Math.random() * this.height,
+                z: 0,
+                angle: 0,
+                speed: 10 + Math.random() * 20
+            });
+        }
+
+        this.ctx.strokeStyle = `rgba(255, 255, 255, ${speedRatio * 0.3})`;
+        this.ctx.lineWidth = 2;
+        this.ctx.beginPath();
+
+        const centerX = this.width / 2;
+        const centerY = this.height / 2;
+
+        for (let i = this.particles.length - 1; i >= 0; i--) {
+            let p = this.particles[i];
+            
+            // Move away from center
+            const dx = p.x - centerX;
+            const dy = p.y - centerY;
+            const angle = Math.atan2(dy, dx);
             
-            if (i > 20 && i % 40 === 0 && Math.random() > 0.3) {
-                // Precise lane alignment for 3 lanes: Left (-0.65), Center (0), Right (0.65)
-                // This ensures "gaps" (the white lines) are exactly between these values
-                const lanes = [-0.65, 0, 0.65]; 
-                this.addCar(i, lanes[Math.floor(Math.random() * lanes.length)], Utils.randomInt(3000, 8000));
-            }
-            if (i % 20 === 0 && Math.random() > 0.2) {
-                const side = Math.random() > 0.5 ? 1 : -1;
-                this.addSprite(i, side * (1.5 + Math.random()), 'tree');
+            p.x += Math.cos(angle) * p.speed * speedRatio;
+            p.y += Math.sin(angle) * p.speed * speedRatio;
+            
+            // Draw streak
+            this.ctx.moveTo(p.x, p.y);
+            this.ctx.lineTo(p.x - Math.cos(angle) * 20, p.y - Math.sin(angle) * 20);
+
+            // Remove if off screen
+            if (p.x < 0 || p.x > this.width || p.y < 0 || p.y > this.height) {
+                this.particles.splice(i, 1);
             }
         }
+        this.ctx.stroke();
     }
+}
 
-    addCar(segmentIndex, offset, speed) {
-        this.segments[segmentIndex].cars.push({
-            offset: offset,
-            z: segmentIndex * CONFIG.SEGMENT_LENGTH,
-            speed: speed,
-            percent: 0,
-            type: Math.random() > 0.5 ? 'car' : 'truck',
-            justPassed: false
-        });
+/**
+ * ------------------------------------------------------------------
+ * RENDERING (Canvas)
+ * ------------------------------------------------------------------
+ */
+// Draw routines for the scenery in CONFIG.SCENERY. Each draws one sprite
+// standing at (x, y), where scale is half the road width in pixels at that
+// distance; sprite.offset < 0 is left of the road, variant varies the look.
+const SCENERY_ART = {
+    tree(ctx, x, y, scale, palette) {
+        const w = scale * 0.5; const h = scale * 1.5;
+        ctx.fillStyle = palette.TREE_TRUNK;
+        ctx.fillRect(x - w*0.2, y - h, w*0.4, h);
+        ctx.fillStyle = palette.TREE_LEAVES;
+        ctx.beginPath(); ctx.moveTo(x - w, y - h*0.5); ctx.lineTo(x, y - h * 1.5); ctx.lineTo(x + w, y - h*0.5); ctx.fill();
+        ctx.beginPath(); ctx.moveTo(x - w*0.8, y - h); ctx.lineTo(x, y - h * 1.8); ctx.lineTo(x + w*0.8, y - h); ctx.fill();
+    },
+
+    palm(ctx, x, y, scale, palette, night, sprite) {
+        const h = scale * (1.8 + sprite.variant * 0.6);
+        const lean = (sprite.offset < 0 ? 1 : -1) * scale * 0.25; // Toward the road
+        const topX = x + lean; const topY = y - h;
+        ctx.strokeStyle = palette.TREE_TRUNK;
+        ctx.lineWidth = Math.max(1, scale * 0.08);
+        ctx.beginPath(); ctx.moveTo(x, y); ctx.quadraticCurveTo(x, y - h * 0.6, topX, topY); ctx.stroke();
+        ctx.fillStyle = palette.TREE_LEAVES;
+        for (let i = -2; i <= 2; i++) {
+            ctx.beginPath();
+            ctx.ellipse(topX + i * scale * 0.22, topY + Math.abs(i) * scale * 0.08, scale * 0.28, scale * 0.06, i * 0.4, 0, Math.PI * 2);
+            ctx.fill();
+        }
+    },
+
+    cactus(ctx, x, y, scale) {
+        const w = scale * 0.12; const h = scale * 0.9;
+        ctx.fillStyle = '#2f6b3a';
+        ctx.fillRect(x - w/2, y - h, w, h);
+        ctx.fillRect(x - w * 2, y - h * 0.6, w * 1.5, w * 0.6);
+        ctx.fillRect(x - w * 2, y - h * 0.85, w * 0.6, h * 0.3);
+        ctx.fillRect(x + w * 0.5, y - h * 0.45, w * 1.4, w * 0.6);
+        ctx.fillRect(x + w * 1.3, y - h * 0.7, w * 0.6, h * 0.3);
+    },
+
+    sign(ctx, x, y, scale) {
+        const w = scale * 0.4; const h = scale * 0.25;
+        ctx.fillStyle = '#777';
+        ctx.fillRect(x - scale * 0.02, y - scale * 0.8, scale * 0.04, scale * 0.8);
+        ctx.fillStyle = '#0b6b2e';
+        ctx.fillRect(x - w/2, y - scale * 0.8 - h, w, h);
+        ctx.strokeStyle = '#fff';
+        ctx.lineWidth = Math.max(1, scale * 0.01);
+        ctx.strokeRect(x - w/2 + scale * 0.02, y - scale * 0.8 - h + scale * 0.02, w - scale * 0.04, h - scale * 0.04);
+    },
+
+    lamp(ctx, x, y, scale, palette, night, sprite) {
+        const h = scale * 1.6;
+        const arm = (sprite.offset < 0 ? 1 : -1) * scale * 0.3; // Hangs over the road
+        ctx.fillStyle = '#555';
+        ctx.fillRect(x - scale * 0.02, y - h, scale * 0.04, h);
+        ctx.fillRect(Math.min(x, x + arm), y - h, Math.abs(arm), scale * 0.03);
+        ctx.fillStyle = night > 0.3 ? '#ffe9a8' : '#999';
+        ctx.shadowBlur = night * 30; ctx.shadowColor = '#ffe9a8';
+        ctx.fillRect(x + arm - scale * 0.05, y - h, scale * 0.1, scale * 0.04);
+        ctx.shadowBlur = 0;
+    },
+
+    billboard(ctx, x, y, scale, palette, night, sprite) {
+        const w = scale * 0.9; const h = scale * 0.45; const legs = scale * 0.5;
+        ctx.fillStyle = '#444';
+        ctx.fillRect(x - w * 0.35, y - legs, scale * 0.04, legs);
+        ctx.fillRect(x + w * 0.35, y - legs, scale * 0.04, legs);
+        ctx.fillStyle = ['#ff3366', '#00d4ff', '#ffd700'][Math.floor(sprite.variant * 3)];
+        ctx.fillRect(x - w/2, y - legs - h, w, h);
+        if (scale > 40) {
+            ctx.fillStyle = '#111';
+            ctx.font = `bold ${Math.round(h * 0.35)}px sans-serif`;
+            ctx.textAlign = 'center';
+            ctx.fillText('GESTURE RIDER', x, y - legs - h * 0.38);
+        }
+    },
+
+    building(ctx, x, y, scale, palette, night, sprite) {
+        const w = scale * 1.4; const h = scale * (2 + sprite.variant * 3);
+        ctx.fillStyle = ['#2a3140', '#3b3346', '#2f3d3a'][Math.floor(sprite.variant * 3)];
+        ctx.fillRect(x - w/2, y - h, w, h);
+        if (scale < 15) return;
+        // Windows, lit as night falls
+        ctx.fillStyle = `rgba(255, 220, 140, ${0.15 + night * 0.7})`;
+        const cols = 4; const rows = Math.floor(h / (scale * 0.35));
+        const cw = w / cols; const rh = h / rows;
+        for (let r = 0; r < rows - 1; r++) {
+            for (let c = 0; c < cols; c++) {
+                if ((r * 7 + c * 3 + Math.floor(sprite.variant * 10)) % 5 === 0) continue; // Some dark
+                ctx.fillRect(x - w/2 + c * cw + cw * 0.25, y - h + r * rh + rh * 0.3, cw * 0.5, rh * 0.4);
+            }
+        }
+    },
+
+    rail(ctx, x, y, scale) {
+        const w = scale * 0.35; const h = scale * 0.12;
+        ctx.fillStyle = '#666';
+        ctx.fillRect(x - scale * 0.015, y - h, scale * 0.03, h);
+        ctx.fillStyle = '#bbb';
+        ctx.fillRect(x - w/2, y - h, w, h * 0.45);
+    },
+
+    // One slice of tunnel: walls just outside the road and a roof over it
+    tunnel(ctx, x, y, scale, palette, night) {
+        const inner = scale * CONFIG.SCENERY.tunnel.SPAN; const h = scale * 1.1; const t = scale * 0.6;
+        ctx.fillStyle = '#26262c';
+        ctx.fillRect(x - inner - t, y - h - t, t, h + t);
+        ctx.fillRect(x + inner, y - h - t, t, h + t);
+        ctx.fillRect(x - inner - t, y - h - t, (inner + t) * 2, t);
+        ctx.fillStyle = '#ffcc66';
+        ctx.shadowBlur = 10 + night * 10; ctx.shadowColor = '#ffcc66';
+        ctx.fillRect(x - scale * 0.1, y - h - scale * 0.04, scale * 0.2, scale * 0.04);
+        ctx.shadowBlur = 0;
     }
+};
 
-    addSprite(segmentIndex, offset, type) {
-        this.segments[segmentIndex].sprites.push({ offset: offset, type: type });
+// Layered horizon behind the road. Each track seed generates the outlines
+// once; they're drawn to offscreen canvases, redrawn only when the size or
+// colours change. Layers scroll sideways with the curves, nearer ones faster,
+// and follow the horizon up and down by different amounts.
+class ParallaxBackground {
+    constructor() {
+        this.seed = null;
+        this.shapes = {};   // Outlines per layer for the current seed
+        this.layers = {};   // Cached { canvas, key } per layer
+        this.offsets = {};  // Scroll per layer, 0..1 of the screen width
     }
 
-    start() {
-        this.audio.init();
-        this.isPlaying = true;
-        this.lastTime = performance.now();
-        requestAnimationFrame(this.step);
+    reset(seed) {
+        const rng = new SeededRandom(seed ^ 0x5c1e);
+        this.seed = seed;
+        this.shapes = {
+            stars: Array.from({ length: 150 }, () => ({ x: rng.next(), y: rng.next(), size: rng.range(0.5, 1.8) })),
+            mountains: ParallaxBackground.ridge(rng, 9, 0.3),
+            skyline: Array.from({ length: 36 }, () => ({ height: rng.range(0.25, 1), width: rng.range(0.6, 1), lights: rng.int(0, 1000) })),
+            hills: ParallaxBackground.ridge(rng, 16, 0.15)
+        };
+        this.layers = {};
+        for (const name in CONFIG.BACKGROUND) this.offsets[name] = 0;
     }
 
-    update(dt) {
-        if (this.isGameOver) return;
-
-        const cmd = this.input.getCommand();
-        const ratio = this.speed / CONFIG.MAX_SPEED;
-        this.audio.update(ratio); // Update Audio
-        
-        if (cmd.accel > 0) this.speed += CONFIG.ACCEL * cmd.accel * dt * 60;
-        else if (cmd.brake > 0) this.speed += CONFIG.BRAKING * dt * 60;
-        else this.speed += CONFIG.DECEL * dt * 60;
-
-        this.speed = Math.max(0, Math.min(this.speed, CONFIG.MAX_SPEED));
-
-        const dx = dt * 2 * cmd.steer * (this.speed / CONFIG.MAX_SPEED); 
-        this.playerX = this.playerX - dx;
-        
-        const playerSegment = this.findSegment(this.position + CONFIG.CAMERA_DEPTH * CONFIG.SEGMENT_LENGTH);
-        this.playerX = this.playerX - (dx * playerSegment.curve * ratio * 0.1); 
-
-        if ((this.playerX < -1 || this.playerX > 1) && this.speed > 2000) this.speed += CONFIG.OFF_ROAD_DECEL * dt * 60;
-        
-        this.playerX = Math.max(-2, Math.min(2, this.playerX));
-        this.position += this.speed * dt;
-        this.distanceRun += this.speed * dt;
-        
-        const trackLength = this.segments.length * CONFIG.SEGMENT_LENGTH;
-        if (this.position >= trackLength) this.position -= trackLength;
-        if (this.position < 0) this.position += trackLength;
-
-        this.updateTraffic(dt, playerSegment);
-        this.checkSpriteCollisions(); // Check tree collisions
+    // Heights (0..1) around a loop, so the layer tiles seamlessly
+    static ridge(rng, points, min) {
+        return Array.from({ length: points }, () => rng.range(min, 1));
+    }
 
-        // Update HUD
-        document.getElementById('scoreVal').innerText = Math.floor(this.score);
-        document.getElementById('distVal').innerText = (this.distanceRun / 100000).toFixed(1);
-        document.getElementById('speedVal').innerText = Math.floor(this.speed / 100);
+    // curve: road curve under the rider; segments: how far they've ridden since the last frame
+    scroll(curve, segments) {
+        for (const name in CONFIG.BACKGROUND) {
+            const offset = this.offsets[name] + CONFIG.SKY_SPEED * CONFIG.BACKGROUND[name].SPEED * curve * segments;
+            this.offsets[name] = offset - Math.floor(offset);
+        }
     }
 
-    checkSpriteCollisions() {
-        const playerZ = this.position + CONFIG.CAMERA_HEIGHT;
-        const trackLen = this.segments.length * CONFIG.SEGMENT_LENGTH;
-        // Check overlapping segments
-        const startSegIndex = Math.floor(playerZ / CONFIG.SEGMENT_LENGTH) % this.segments.length;
-        
-        // Check current and neighbors
-        for(let i = -1; i <= 2; i++) {
-            const idx = (startSegIndex + i + this.segments.length) % this.segments.length;
-            const segment = this.segments[idx];
-            
-            for(let j = 0; j < segment.sprites.length; j++) {
-                const sprite = segment.sprites[j];
-                const spriteZ = segment.p1.world.z;
-                
-                let dist = spriteZ - playerZ;
-                if (dist < -trackLen/2) dist += trackLen;
-                if (dist > trackLen/2) dist -= trackLen;
-                
-                if (Math.abs(dist) < 100) { 
-                    const spriteW = 0.3; // Tree trunk width
-                    const playerW = 0.15; // Bike width
-                    
-                    if (this.overlap(this.playerX, playerW, sprite.offset, spriteW)) {
-                        this.crash();
-                        return;
-                    }
-                }
+    // groundY: the horizon's ground line at rest; shift: how far the horizon has moved
+    draw(ctx, width, height, groundY, shift, palette, night) {
+        const colors = {
+            stars: '#ffffff',
+            mountains: palette.MOUNTAINS,
+            skyline: Utils.blendColor(palette.MOUNTAINS, '#000000', 0.35),
+            hills: Utils.blendColor(palette.MOUNTAINS, palette.GRASS_DARK, 0.6)
+        };
+        for (const name in CONFIG.BACKGROUND) {
+            const layer = this.layer(name, width, height, colors[name], Math.round(night * 10));
+            const x = -this.offsets[name] * width;
+            const bottom = groundY + shift * CONFIG.BACKGROUND[name].RISE;
+            const top = bottom - layer.canvas.height;
+            if (name === 'stars') ctx.globalAlpha = Math.max(0, night - 0.3);
+            ctx.drawImage(layer.canvas, x, top);
+            ctx.drawImage(layer.canvas, x + width, top);
+            ctx.globalAlpha = 1;
+            // Fill down to the ground line so nothing shows beneath a raised layer
+            if (name !== 'stars') {
+                ctx.fillStyle = colors[name];
+                ctx.fillRect(0, bottom - 1, width, Math.max(0, groundY + shift - bottom) + 2);
             }
         }
     }
 
-    updateTraffic(dt, playerSegment) {
-        const carsToMove = [];
-        const playerZ = this.position + CONFIG.CAMERA_HEIGHT; 
-        const trackLen = this.segments.length * CONFIG.SEGMENT_LENGTH;
-
-        for(let i=0; i<this.segments.length; i++) {
-            let segment = this.segments[i];
-            
-            for(let j=0; j<segment.cars.length; j++) {
-                let car = segment.cars[j];
-                car.z += car.speed * dt;
-                
-                if (car.z > trackLen) car.z -= trackLen;
-                if (car.z < 0) car.z += trackLen;
-
-                let currentSegmentIndex = i;
-                let actualSegmentIndex = Math.floor(car.z / CONFIG.SEGMENT_LENGTH) % this.segments.length;
-
-                if (currentSegmentIndex !== actualSegmentIndex) {
-                    carsToMove.push({ car: car, from: currentSegmentIndex, to: actualSegmentIndex });
-                }
-
-                // Interaction Logic
-                let dist = car.z - playerZ;
-                if (dist < -trackLen/2) dist += trackLen;
-                if (dist > trackLen/2) dist -= trackLen;
-
-                // Close Call / Overtake Logic
-                if (dist < -100 && dist > -300 && !car.justPassed) {
-                    // Check lateral distance
-                    // playerX is -1 to 1, car.offset is -1 to 1
-                    // Normalized lateral distance
-                    const lateralDist = Math.abs(this.playerX - car.offset);
-                    // Safe overtaking distance but close enough for thrill
-                    if (lateralDist < 0.8 && lateralDist > 0.35) {
-                        this.triggerCloseCall();
-                        car.justPassed = true;
+    // The layer's cached canvas, redrawn when its size or colours change
+    layer(name, width, height, color, night) {
+        const key = `${width}x${height} ${color} ${night}`;
+        const cached = this.layers[name];
+        if (cached && cached.key === key) return cached;
+
+        const canvas = cached ? cached.canvas : document.createElement('canvas');
+        const layerHeight = Math.round(height * { stars: 0.5, mountains: 0.22, skyline: 0.16, hills: 0.1 }[name]);
+        canvas.width = width;
+        canvas.height = layerHeight;
+        const ctx = canvas.getContext('2d');
+        ctx.clearRect(0, 0, width, layerHeight);
+        ctx.fillStyle = color;
+        const shape = this.shapes[name];
+
+        if (name === 'stars') {
+            for (const star of shape) ctx.fillRect(star.x * width, star.y * layerHeight, star.size, star.size);
+        } else if (name === 'skyline') {
+            const step = width / shape.length;
+            shape.forEach((block, i) => {
+                const h = block.height * layerHeight;
+                ctx.fillStyle = color;
+                ctx.fillRect(i * step, layerHeight - h, step * block.width, h);
+                // Lit windows come on after dark
+                ctx.fillStyle = `rgba(255, 220, 140, ${night / 10 * 0.8})`;
+                for (let y = layerHeight - h + 4; y < layerHeight - 4; y += 6) {
+                    for (let x = i * step + 2; x < i * step + step * block.width - 3; x += 5) {
+                        if ((block.lights + x * 7 + y * 13) % 5 === 0) ctx.fillRect(x, y, 2, 2);
                     }
                 }
-                
-                // Reset passed flag when far away
-                if (Math.abs(dist) > 1000) car.justPassed = false;
-
-                // Collision Logic
-                if (Math.abs(dist) < 200) { 
-                    // Realistic Lane Splitting Logic:
-                    // Cars are roughly 0.45 width (leaving plenty of gap in a 1.0 lane)
-                    // Player is significantly narrowed to 0.15 (motorcycle width) to allow threading
-                    const carW = 0.45; 
-                    const playerW = 0.15; 
-                    
-                    if (this.overlap(this.playerX, playerW, car.offset, carW)) {
-                        this.crash();
-                    }
-                }
-            }
+            });
+        } else {
+            // Smooth ridge through the midpoints; the points repeat past both
+            // edges so the two ends meet seamlessly
+            const n = shape.length;
+            const step = width / n;
+            const point = i => [i * step, layerHeight * (1 - shape[(i % n + n) % n])];
+            const mid = i => [(i + 0.5) * step, (point(i)[1] + point(i + 1)[1]) / 2];
+            ctx.beginPath();
+            ctx.moveTo(-step / 2, layerHeight);
+            ctx.lineTo(...mid(-1));
+            for (let i = 0; i <= n; i++) ctx.quadraticCurveTo(...point(i), ...mid(i));
+            ctx.lineTo(width + step / 2, layerHeight);
+            ctx.fill();
         }
 
-        for (let move of carsToMove) {
-            const fromSeg = this.segments[move.from];
-            const toSeg = this.segments[move.to];
-            const index = fromSeg.cars.indexOf(move.car);
-            if (index > -1) {
-                fromSeg.cars.splice(index, 1);
-                toSeg.cars.push(move.car);
-            }
-        }
-        
-        if (this.speed > 0) this.score += (this.speed / 1000) * dt * 10;
+        this.layers[name] = { canvas: canvas, key: key };
+        return this.layers[name];
     }
+}
 
-    triggerCloseCall() {
-        this.score += 500;
-        const msg = document.createElement('div');
-        msg.className = 'float-msg';
-        msg.innerText = "CLOSE CALL +500";
-        const area = document.getElementById('message-area');
-        area.appendChild(msg);
-        setTimeout(() => area.removeChild(msg), 1000);
+// Draws a Simulation onto the game canvas (the renderer interface is
+// render(sim, alpha)). The cockpit leans with the bike.
+class CanvasRenderer {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.ctx = this.canvas.getContext('2d', { alpha: false });
+        this.width = window.innerWidth;
+        this.height = window.innerHeight;
+        this.canvas.width = this.width;
+        this.canvas.height = this.height;
+        this.particles = new ParticleSystem(this.ctx, this.width, this.height);
+        this.background = new ParallaxBackground();
+        this.lastPosition = null; // Track position last frame, to scroll the background
+        this.palette = CONFIG.COLORS;
+        this.palettes = {};       // Blended palette per biome
+        this.paletteKey = null;   // Daylight (in hundredths) the cached palettes were blended for
+        this.daylight = 0;
+        this.night = 0;
+        this.fogDensity = 0;
     }
 
-    overlap(x1, w1, x2, w2) {
-        const half1 = w1/2; const half2 = w2/2;
-        const min1 = x1 - half1; const max1 = x1 + half1;
-        const min2 = x2 - half2; const max2 = x2 + half2;
-        return !((max1 < min2) || (min1 > max2));
-    }
+    // alpha (0..1) is how far the frame falls between the previous and the
+    // current simulation step; the camera is interpolated between the two
+    render(sim, alpha = 1) {
+        this.ctx.clearRect(0, 0, this.width, this.height);
 
-    crash() {
-        this.speed = 0;
-        this.isGameOver = true;
-        this.audio.playCrash();
-        
-        // High Score Logic
-        if (this.score > this.highScore) {
-            this.highScore = Math.floor(this.score);
-            localStorage.setItem('gestureRiderHighScore', this.highScore);
+        // Crash sequence: the view rolls toward the side the bike went down and pushes in
+        const tumble = sim.crashTime === null ? 0 : Math.min(1, sim.crashTime / CONFIG.CRASH.TIME);
+        if (tumble > 0) {
+            this.ctx.save();
+            this.ctx.translate(this.width / 2, this.height / 2);
+            this.ctx.rotate((sim.lean < 0 ? -1 : 1) * tumble * tumble * Math.PI * 0.5);
+            this.ctx.scale(1 + tumble * 0.3, 1 + tumble * 0.3);
+            this.ctx.translate(-this.width / 2, -this.height / 2);
         }
 
-        document.getElementById('final-score').innerText = Math.floor(this.score);
-        document.getElementById('best-score').innerText = this.highScore;
-        document.getElementById('game-over-screen').classList.remove('hidden');
-    }
-
-    findSegment(z) {
-        return this.segments[Math.floor(z / CONFIG.SEGMENT_LENGTH) % this.segments.length];
-    }
+        const trackLength = sim.segments.length * CONFIG.SEGMENT_LENGTH;
+        let moved = sim.position - sim.prevPosition;
+        if (moved < -trackLength / 2) moved += trackLength; // Wrapped past the lap line
+        const position = (sim.prevPosition + moved * alpha) % trackLength;
+        const playerX = Utils.interpolate(sim.prevPlayerX, sim.playerX, alpha);
+        const renderTime = sim.traffic.time - (1 - alpha) * CONFIG.STEP;
+        const ghost = sim.ghost ? sim.ghost.positionAt(alpha, trackLength) : null;
+        const ghostSegment = ghost ? sim.findSegment(ghost.z) : null;
+
+        let baseSegment = sim.findSegment(position);
+        let basePercent = Utils.percentRemaining(position, CONFIG.SEGMENT_LENGTH);
+        
+        // Scroll the background by the curve under the rider, for the distance ridden since last frame
+        if (this.background.seed !== sim.seed) this.background.reset(sim.seed);
+        if (this.lastPosition !== null) {
+            let travelled = position - this.lastPosition;
+            if (travelled < -trackLength / 2) travelled += trackLength;
+            if (Math.abs(travelled) < 10 * CONFIG.SEGMENT_LENGTH) this.background.scroll(baseSegment.curve, travelled / CONFIG.SEGMENT_LENGTH);
+        }
+        this.lastPosition = position;
 
-    render() {
-        this.ctx.clearRect(0, 0, this.width, this.height);
-        this.renderBackground();
+        const environment = sim.environment;
+        this.daylight = environment.daylight;
+        this.night = 1 - this.daylight;
+        this.palette = this.blendPalette(baseSegment.biome);
+        this.fogDensity = environment.fog;
 
-        let baseSegment = this.findSegment(this.position);
-        let basePercent = Utils.percentRemaining(this.position, CONFIG.SEGMENT_LENGTH);
-        
-        let playerSegment = this.findSegment(this.position + CONFIG.CAMERA_DEPTH * CONFIG.SEGMENT_LENGTH);
-        let playerPercent = Utils.percentRemaining(this.position + CONFIG.CAMERA_DEPTH * CONFIG.SEGMENT_LENGTH, CONFIG.SEGMENT_LENGTH);
-        let playerY = Utils.interpolate(playerSegment.p1.world.y, playerSegment.p2.world.y, playerPercent);
+        // Camera rides at a fixed height above the road under the rider
+        let playerY = sim.roadHeight(position + CONFIG.CAMERA_DEPTH * CONFIG.SEGMENT_LENGTH);
+        this.renderBackground(playerY);
         
         let dx = -(baseSegment.curve * basePercent);
         let x = 0;
         let maxY = this.height; 
 
         for(let n = 0; n < CONFIG.DRAW_DISTANCE; n++) {
-            let segment = this.segments[(baseSegment.index + n) % this.segments.length];
+            let segment = sim.segments[(baseSegment.index + n) % sim.segments.length];
             segment.looped = segment.index < baseSegment.index;
             x += dx; dx += segment.curve;
-            let segmentLoopOffset = segment.looped ? this.segments.length * CONFIG.SEGMENT_LENGTH : 0;
+            let segmentLoopOffset = segment.looped ? sim.segments.length * CONFIG.SEGMENT_LENGTH : 0;
             
-            Utils.project(segment.p1, (this.playerX * CONFIG.ROAD_WIDTH) - x, playerY + CONFIG.CAMERA_HEIGHT, this.position - segmentLoopOffset, CONFIG.CAMERA_DEPTH, this.width, this.height, CONFIG.ROAD_WIDTH);
-            Utils.project(segment.p2, (this.playerX * CONFIG.ROAD_WIDTH) - x - dx, playerY + CONFIG.CAMERA_HEIGHT, this.position - segmentLoopOffset, CONFIG.CAMERA_DEPTH, this.width, this.height, CONFIG.ROAD_WIDTH);
+            Utils.project(segment.p1, (playerX * CONFIG.ROAD_WIDTH) - x, playerY + CONFIG.CAMERA_HEIGHT, position - segmentLoopOffset, CONFIG.CAMERA_DEPTH, this.width, this.height, CONFIG.ROAD_WIDTH);
+            Utils.project(segment.p2, (playerX * CONFIG.ROAD_WIDTH) - x - dx, playerY + CONFIG.CAMERA_HEIGHT, position - segmentLoopOffset, CONFIG.CAMERA_DEPTH, this.width, this.height, CONFIG.ROAD_WIDTH);
+
+            // Anything on this segment is hidden below the nearest hill drawn so far
+            segment.clipY = maxY;
 
             if(segment.p1.camera.z <= CONFIG.CAMERA_DEPTH || segment.p2.screen.y >= maxY || segment.p2.screen.y >= segment.p1.screen.y) continue;
 
-            this.renderSegment(segment);
-            maxY = segment.p1.screen.y; 
-            segment.clipY = maxY; 
+            this.renderSegment(segment, sim.mode, this.haze(n));
+            maxY = segment.p2.screen.y; 
         }
 
         for(let n = CONFIG.DRAW_DISTANCE - 1; n > 0; n--) {
-            let segment = this.segments[(baseSegment.index + n) % this.segments.length];
-            
+            let segment = sim.segments[(baseSegment.index + n) % sim.segments.length];
+            const hasGhost = segment === ghostSegment;
+            if (segment.cars.length === 0 && segment.sprites.length === 0 && !hasGhost) continue;
+            if (segment.clipY <= 0) continue; // Fully behind a crest
+
+            this.ctx.save();
+            this.ctx.beginPath();
+            this.ctx.rect(0, 0, this.width, segment.clipY);
+            this.ctx.clip();
+            const haze = this.haze(n);
+            const fog = this.fog(n);
+            const palette = this.blendPalette(segment.biome);
+
             for(let i=0; i<segment.cars.length; i++) {
                 let car = segment.cars[i];
-                let spriteScale = segment.p1.screen.w; // Scale based on road width
+                // Place the car where it is along the segment at this frame's time
+                let percent = (sim.traffic.currentZ(car, renderTime) - segment.p1.world.z) / CONFIG.SEGMENT_LENGTH;
+                percent = Math.max(0, Math.min(1, percent));
+                let spriteScale = Utils.interpolate(segment.p1.screen.w, segment.p2.screen.w, percent); // Scale based on road width
                 if (spriteScale > 5) { // Optimization
-                     let spriteX = segment.p1.screen.x + (segment.p1.screen.w * car.offset);
-                     let spriteY = segment.p1.screen.y;
-                     this.renderCar(spriteX, spriteY, spriteScale, car);
+                     let spriteX = Utils.interpolate(segment.p1.screen.x, segment.p2.screen.x, percent) + (spriteScale * car.offset);
+                     let spriteY = Utils.interpolate(segment.p1.screen.y, segment.p2.screen.y, percent);
+                     this.renderCar(spriteX, spriteY, spriteScale, car, haze, fog);
                 }
             }
 
@@ -803,109 +2338,231 @@ class Game {
                 if (spriteScale > 5) {
                     let spriteX = segment.p1.screen.x + (segment.p1.screen.w * sprite.offset);
                     let spriteY = segment.p1.screen.y;
-                    this.renderSprite(spriteX, spriteY, spriteScale, sprite.type);
+                    this.renderSprite(spriteX, spriteY, spriteScale, sprite, haze, palette);
                 }
             }
+
+            if (hasGhost) {
+                let percent = Utils.percentRemaining(ghost.z, CONFIG.SEGMENT_LENGTH);
+                let ghostScale = Utils.interpolate(segment.p1.screen.w, segment.p2.screen.w, percent);
+                let ghostX = Utils.interpolate(segment.p1.screen.x, segment.p2.screen.x, percent) + (ghostScale * ghost.x);
+                let ghostY = Utils.interpolate(segment.p1.screen.y, segment.p2.screen.y, percent);
+                this.renderGhost(ghostX, ghostY, ghostScale);
+            }
+            this.ctx.restore();
         }
         
         // Speed Lines
-        this.particles.updateAndDraw(this.speed / CONFIG.MAX_SPEED);
+        this.particles.updateAndDraw(sim.speed / CONFIG.MAX_SPEED);
+        this.particles.drawRain(environment.rain, sim.speed / CONFIG.MAX_SPEED);
         
-        this.renderCockpit();
+        this.renderCockpit(sim.speed, sim.wheelie, sim.lean);
+
+        if (tumble > 0) this.ctx.restore();
+        this.particles.drawDebris(sim.crashTime === null ? 1 : CONFIG.CRASH.SLOW_MOTION);
+    }
+
+    // Night and day palettes (with the biome's ground colours) mixed by the
+    // daylight, rebuilt only when it has changed noticeably
+    blendPalette(biome) {
+        const key = Math.round(this.daylight * 100);
+        if (this.paletteKey !== key) {
+            this.paletteKey = key;
+            this.palettes = {};
+        }
+        if (!this.palettes[biome]) {
+            const ground = CONFIG.BIOME_COLORS[biome] || { NIGHT: {}, DAY: {} };
+            const night = Object.assign({}, CONFIG.COLORS, ground.NIGHT);
+            const day = Object.assign({}, CONFIG.DAY_COLORS, ground.DAY);
+            const palette = {};
+            for (const name in night) palette[name] = Utils.blendColor(night[name], day[name], key / 100);
+            this.palettes[biome] = palette;
+        }
+        return this.palettes[biome];
+    }
+
+    // Share of the weather fog over something n segments ahead
+    fog(n) {
+        const d = n / CONFIG.DRAW_DISTANCE;
+        return 1 - Math.exp(-this.fogDensity * d * d);
     }
 
-    renderBackground() {
+    // Fog plus, at night, the dark beyond the headlight
+    haze(n) {
+        const lit = Math.exp(-Math.pow(n / CONFIG.HEADLIGHT_REACH, 2));
+        const dark = this.night * CONFIG.NIGHT_DARKNESS * (1 - lit);
+        return 1 - (1 - this.fog(n)) * (1 - dark);
+    }
+
+    renderBackground(playerY = 0) {
+        const palette = this.palette;
         let grad = this.ctx.createLinearGradient(0, 0, 0, this.height);
-        grad.addColorStop(0, CONFIG.COLORS.SKY_TOP);
-        grad.addColorStop(1, CONFIG.COLORS.SKY_BOTTOM);
+        grad.addColorStop(0, palette.SKY_TOP);
+        grad.addColorStop(1, palette.SKY_BOTTOM);
         this.ctx.fillStyle = grad;
         this.ctx.fillRect(0, 0, this.width, this.height);
+
+        // Climbing lowers the horizon, dropping into a dip raises it
+        const maxShift = this.height * 0.15;
+        const shift = Math.max(-maxShift, Math.min(maxShift, playerY * CONFIG.HORIZON_SHIFT));
+        const horizonY = this.height / 2 + shift;
         
-        // Sun
-        this.ctx.fillStyle = 'rgba(255, 200, 100, 0.2)';
+        // Sun by day, moon by night
+        const night = this.night;
+        this.ctx.fillStyle = night > 0.5 ? `rgba(220, 230, 255, ${(night - 0.5) * 0.8})` : `rgba(255, 200, 100, ${0.2 + (0.5 - night) * 0.8})`;
         this.ctx.beginPath();
-        this.ctx.arc(this.width * 0.8, this.height * 0.2, 80, 0, Math.PI*2);
+        this.ctx.arc(this.width * 0.8, horizonY - this.height * 0.3, night > 0.5 ? 40 : 80, 0, Math.PI*2);
         this.ctx.fill();
 
-        // Mountains
-        this.ctx.fillStyle = '#051020';
-        this.ctx.beginPath();
-        this.ctx.moveTo(0, this.height/2 + 50);
-        for(let i=0; i<this.width; i+=50) {
-            this.ctx.lineTo(i, (this.height/2) - 50 + Math.random()*50);
-        }
-        this.ctx.lineTo(this.width, this.height/2 + 50);
-        this.ctx.fill();
+        this.background.draw(this.ctx, this.width, this.height, this.height / 2 + 50, shift, palette, night);
+
+        // Distant ground, visible past a crest before the road reaches it
+        this.ctx.fillStyle = palette.GRASS_DARK;
+        this.ctx.fillRect(0, horizonY + 50, this.width, this.height - horizonY - 50);
+
+        // Everything out here sits at the far end of the fog
+        this.ctx.globalAlpha = this.haze(CONFIG.DRAW_DISTANCE);
+        this.ctx.fillStyle = palette.FOG;
+        this.ctx.fillRect(0, 0, this.width, this.height);
+        this.ctx.globalAlpha = 1;
     }
 
-    renderSegment(segment) {
+    // haze: share of the fog colour laid over the finished segment
+    renderSegment(segment, mode, haze = 0) {
+        const palette = this.blendPalette(segment.biome);
         let x1 = segment.p1.screen.x; let y1 = segment.p1.screen.y; let w1 = segment.p1.screen.w;
         let x2 = segment.p2.screen.x; let y2 = segment.p2.screen.y; let w2 = segment.p2.screen.w;
+        const dark = Math.floor(segment.index / 3) % 2;
 
-        this.ctx.fillStyle = (Math.floor(segment.index / 3) % 2) ? CONFIG.COLORS.GRASS_DARK : CONFIG.COLORS.GRASS_LIGHT;
+        this.ctx.fillStyle = dark ? palette.GRASS_DARK : palette.GRASS_LIGHT;
         this.ctx.fillRect(0, y2, this.width, y1 - y2);
 
-        this.ctx.fillStyle = segment.color;
+        this.ctx.fillStyle = dark ? palette.ROAD_DARK : palette.ROAD_LIGHT;
         this.ctx.beginPath();
         this.ctx.moveTo(x1 - w1, y1); this.ctx.lineTo(x2 - w2, y2);
         this.ctx.lineTo(x2 + w2, y2); this.ctx.lineTo(x1 + w1, y1);
         this.ctx.fill();
 
+        // Two-way mode: solid centre line between the oncoming and our lanes
+        if (mode === 'twoway') {
+            let l1 = w1 / 40; let l2 = w2 / 40;
+            let cx1 = x1 - w1 * 0.33; let cx2 = x2 - w2 * 0.33;
+            this.ctx.fillStyle = palette.CENTER_LINE;
+            this.ctx.beginPath(); this.ctx.moveTo(cx1 - l1, y1); this.ctx.lineTo(cx1 + l1, y1); this.ctx.lineTo(cx2 + l2, y2); this.ctx.lineTo(cx2 - l2, y2); this.ctx.fill();
+        }
+
         let r1 = w1 / Math.max(6, 2 * CONFIG.LANES); let r2 = w2 / Math.max(6, 2 * CONFIG.LANES);
-        this.ctx.fillStyle = (Math.floor(segment.index / 2) % 2) ? '#fff' : CONFIG.COLORS.RUMBLE;
+        this.ctx.fillStyle = (Math.floor(segment.index / 2) % 2) ? '#fff' : palette.RUMBLE;
         this.ctx.beginPath(); this.ctx.moveTo(x1 - w1 - r1, y1); this.ctx.lineTo(x1 - w1, y1); this.ctx.lineTo(x2 - w2, y2); this.ctx.lineTo(x2 - w2 - r2, y2); this.ctx.fill();
         this.ctx.beginPath(); this.ctx.moveTo(x1 + w1 + r1, y1); this.ctx.lineTo(x1 + w1, y1); this.ctx.lineTo(x2 + w2, y2); this.ctx.lineTo(x2 + w2 + r2, y2); this.ctx.fill();
         
         if (Math.floor(segment.index / 2) % 2) {
              let l1 = w1 / 40; let l2 = w2 / 40;
-             this.ctx.fillStyle = CONFIG.COLORS.LANE_MARKER;
+             this.ctx.fillStyle = palette.LANE_MARKER;
              let lanex1 = x1 - w1 * 0.33; let lanex2 = x2 - w2 * 0.33;
-             this.ctx.beginPath(); this.ctx.moveTo(lanex1 - l1, y1); this.ctx.lineTo(lanex1 + l1, y1); this.ctx.lineTo(lanex2 + l2, y2); this.ctx.lineTo(lanex2 - l2, y2); this.ctx.fill();
+             if (mode !== 'twoway') {
+                 this.ctx.beginPath(); this.ctx.moveTo(lanex1 - l1, y1); this.ctx.lineTo(lanex1 + l1, y1); this.ctx.lineTo(lanex2 + l2, y2); this.ctx.lineTo(lanex2 - l2, y2); this.ctx.fill();
+             }
              lanex1 = x1 + w1 * 0.33; lanex2 = x2 + w2 * 0.33;
              this.ctx.beginPath(); this.ctx.moveTo(lanex1 - l1, y1); this.ctx.lineTo(lanex1 + l1, y1); this.ctx.lineTo(lanex2 + l2, y2); this.ctx.lineTo(lanex2 - l2, y2); this.ctx.fill();
         }
-    }
 
-    renderSprite(x, y, scale, type) {
-        if (scale <= 0) return;
-        const w = scale * 0.5; const h = scale * 1.5;
-        if (type === 'tree') {
-            this.ctx.fillStyle = CONFIG.COLORS.TREE_TRUNK;
-            this.ctx.fillRect(x - w*0.2, y - h, w*0.4, h);
-            this.ctx.fillStyle = CONFIG.COLORS.TREE_LEAVES;
-            this.ctx.beginPath(); this.ctx.moveTo(x - w, y - h*0.5); this.ctx.lineTo(x, y - h * 1.5); this.ctx.lineTo(x + w, y - h*0.5); this.ctx.fill();
-            this.ctx.beginPath(); this.ctx.moveTo(x - w*0.8, y - h); this.ctx.lineTo(x, y - h * 1.8); this.ctx.lineTo(x + w*0.8, y - h); this.ctx.fill();
+        if (haze > 0.01) {
+            this.ctx.globalAlpha = haze;
+            this.ctx.fillStyle = palette.FOG;
+            this.ctx.fillRect(0, y2, this.width, y1 - y2);
+            this.ctx.globalAlpha = 1;
         }
     }
 
-    renderCar(x, y, scale, car) {
+    // haze fades the sprite into the fog behind it
+    renderSprite(x, y, scale, sprite, haze = 0, palette = this.palette) {
+        const art = SCENERY_ART[sprite.type];
+        if (scale <= 0 || !art) return;
+        this.ctx.globalAlpha = 1 - haze;
+        art(this.ctx, x, y, scale, palette, this.night, sprite);
+        this.ctx.globalAlpha = 1;
+    }
+
+    // The body fades into the haze like scenery; lights only dim in fog, so
+    // at night they're most of what can be seen of a car
+    renderCar(x, y, scale, car, haze = 0, fog = 0) {
         if(scale <= 0) return;
-        const w = scale * 0.5; const h = scale * 0.4;
-        this.ctx.fillStyle = car.type === 'truck' ? '#334455' : '#882222';
+        const isTruck = car.type === 'truck';
+        const oncoming = car.speed < 0;
+        const w = scale * (TrafficSystem.spec(car.type).WIDTH + 0.05); const h = scale * (isTruck ? 0.55 : 0.4);
+        const bodyAlpha = 1 - haze;
+        const lightAlpha = 1 - fog * 0.7;
+        const glow = 1 + this.night * 2;
+        this.ctx.globalAlpha = bodyAlpha;
+        this.ctx.fillStyle = isTruck ? '#334455' : '#882222';
         this.ctx.fillRect(x - w/2, y - h, w, h);
         this.ctx.fillStyle = '#111';
         this.ctx.fillRect(x - w/2 - w*0.1, y - h*0.3, w*0.2, h*0.3); 
         this.ctx.fillRect(x + w/2 - w*0.1, y - h*0.3, w*0.2, h*0.3);
-        this.ctx.fillStyle = '#ff0000';
-        this.ctx.shadowBlur = 10; this.ctx.shadowColor = '#ff0000';
+
+        // Tail lights from behind, headlights and grille when facing the camera
+        const lightColor = oncoming ? '#ffffcc' : '#ff0000';
+        this.ctx.globalAlpha = lightAlpha;
+        this.ctx.fillStyle = lightColor;
+        this.ctx.shadowBlur = (oncoming ? 25 : 10) * glow; this.ctx.shadowColor = lightColor;
         this.ctx.fillRect(x - w*0.4, y - h*0.6, w*0.15, h*0.15);
         this.ctx.fillRect(x + w*0.25, y - h*0.6, w*0.15, h*0.15);
+        if (oncoming) {
+            this.ctx.shadowBlur = 0;
+            this.ctx.globalAlpha = bodyAlpha;
+            this.ctx.fillStyle = '#222';
+            this.ctx.fillRect(x - w*0.2, y - h*0.6, w*0.4, h*0.15);
+        }
+
+        // Blinker flashes on the side the car is moving to (mirrored when facing us)
+        if (car.signal !== 0 && car.signalTime % 0.5 < 0.25) {
+            const side = oncoming ? -car.signal : car.signal;
+            const bx = side < 0 ? x - w*0.5 : x + w*0.5 - w*0.12;
+            this.ctx.globalAlpha = lightAlpha;
+            this.ctx.fillStyle = '#ffaa00';
+            this.ctx.shadowBlur = 10 * glow; this.ctx.shadowColor = '#ffaa00';
+            this.ctx.fillRect(bx, y - h*0.62, w*0.12, h*0.12);
+        }
         this.ctx.shadowBlur = 0;
-        this.ctx.fillStyle = '#221111';
+        // Rear window, or a lighter windscreen seen from the front
+        this.ctx.globalAlpha = bodyAlpha;
+        this.ctx.fillStyle = oncoming ? '#556677' : (isTruck ? '#1a2230' : '#221111');
         this.ctx.fillRect(x - w*0.4, y - h*0.9, w*0.8, h*0.3);
+        this.ctx.globalAlpha = 1;
+    }
+
+    // Translucent rider showing where the ghost run is at this moment
+    renderGhost(x, y, scale) {
+        if(scale <= 0) return;
+        const w = scale * 0.18; const h = scale * 0.45;
+        this.ctx.globalAlpha = 0.45;
+        this.ctx.fillStyle = '#00ffff';
+        this.ctx.shadowBlur = 15; this.ctx.shadowColor = '#00ffff';
+        this.ctx.fillRect(x - w*0.15, y - h*0.35, w*0.3, h*0.35); // Wheel
+        this.ctx.fillRect(x - w/2, y - h*0.6, w, h*0.3);          // Body
+        this.ctx.beginPath();
+        this.ctx.arc(x, y - h*0.8, w*0.3, 0, Math.PI * 2);       // Helmet
+        this.ctx.fill();
+        this.ctx.shadowBlur = 0;
+        this.ctx.globalAlpha = 1;
     }
 
-    renderCockpit() {
+    // wheelie: seconds into a wheelie (null when both wheels are down); the
+    // bars rise and tip back while the front wheel is up
+    renderCockpit(speed, wheelie = null, lean = 0) {
+        const lift = wheelie === null ? 0 : Math.sin(Math.PI * Math.min(1, wheelie / CONFIG.WHEELIE.TIME));
         const cx = this.width / 2;
-        const cy = this.height;
-        const shakeX = (Math.random() - 0.5) * (this.speed / CONFIG.MAX_SPEED) * 5;
-        const shakeY = (Math.random() - 0.5) * (this.speed / CONFIG.MAX_SPEED) * 5;
-        const lean = this.input.gesture.active ? this.input.gesture.tilt * 100 : (this.input.keys['ArrowLeft'] ? -50 : (this.input.keys['ArrowRight']? 50 : 0));
+        const cy = this.height + lift * 120;
+        const shakeX = (Math.random() - 0.5) * (speed / CONFIG.MAX_SPEED) * 5;
+        const shakeY = (Math.random() - 0.5) * (speed / CONFIG.MAX_SPEED) * 5;
+        const sway = -lean * 100;
 
         this.ctx.save();
-        this.ctx.translate(cx + shakeX + lean, cy + shakeY);
-        // Tilt the cockpit slightly based on steering
-        this.ctx.rotate(lean * 0.002);
+        this.ctx.translate(cx + shakeX + sway, cy + shakeY);
+        // Tilt the cockpit with the bike's lean
+        this.ctx.rotate(sway * 0.002);
+        this.ctx.scale(1, 1 - lift * 0.25);
 
         this.ctx.beginPath();
         this.ctx.fillStyle = 'rgba(0, 50, 50, 0.2)';
@@ -923,8 +2580,8 @@ class Game {
         this.ctx.fillText("KM/H", 0, -50);
         
         this.ctx.font = 'bold 40px monospace';
-        this.ctx.fillStyle = this.speed > CONFIG.MAX_SPEED * 0.9 ? '#ff0055' : '#00ff88';
-        this.ctx.fillText(Math.floor(this.speed / 100), 0, -90);
+        this.ctx.fillStyle = speed > CONFIG.MAX_SPEED * 0.9 ? '#ff0055' : '#00ff88';
+        this.ctx.fillText(Math.floor(speed / 100), 0, -90);
 
         this.ctx.strokeStyle = '#222';
         this.ctx.lineWidth = 20;
@@ -937,24 +2594,361 @@ class Game {
         this.ctx.restore();
     }
 
+}
+
+/**
+ * ------------------------------------------------------------------
+ * GAME (Browser shell)
+ * ------------------------------------------------------------------
+ */
+// Wires the simulation to the camera/keyboard input, the canvas renderer,
+// audio and the DOM (HUD, game over screen, replays)
+class Game {
+    constructor() {
+        this.input = new InputSystem();
+        this.audio = new AudioController();
+        this.renderer = new CanvasRenderer(document.getElementById('gameCanvas'));
+        this.highScores = new HighScores(localStorage);
+
+        // Seconds without a hand before the run auto-pauses (0 = never)
+        const autoPause = parseFloat(localStorage.getItem('gestureRiderAutoPause'));
+        this.autoPauseDelay = Number.isFinite(autoPause) ? autoPause : CONFIG.GESTURE.HAND_LOST_PAUSE;
+
+        this.isPlaying = false;
+        this.paused = false;
+        this.frameId = null;      // Pending animation frame, so there is only ever one loop
+        this.recorder = null;     // Records the live run's commands
+        this.replayPlayer = null; // Drives the run from a replay instead of live input
+        this.ghostReplay = null;  // Replay whose ghost is raced in every live run
+        this.lastReplay = null;   // Most recently finished or watched run
+
+        // Track seed: pinned with ?seed=N to replay a track, otherwise random per run
+        const seedParam = parseInt(new URLSearchParams(window.location.search).get('seed'));
+        this.fixedSeed = Number.isFinite(seedParam) ? seedParam : null;
+
+        this.sim = new Simulation({
+            input: { getCommand: () => this.nextCommand() },
+            renderer: this.renderer,
+            mode: localStorage.getItem('gestureRiderMode') === 'twoway' ? 'twoway' : 'oneway',
+            seed: this.nextSeed()
+        });
+        
+        this.step = this.step.bind(this);
+        this.lastTime = performance.now();
+        
+        document.getElementById('restart-btn').addEventListener('click', () => this.restart());
+        document.getElementById('resume-btn').addEventListener('click', () => this.resume());
+        document.getElementById('pause-restart-btn').addEventListener('click', () => this.restart());
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) this.pause('Tab hidden');
+        });
+    }
+
+    restart() {
+        document.getElementById('game-over-screen').classList.add('hidden');
+        document.getElementById('pause-screen').classList.add('hidden');
+        this.paused = false;
+        this.replayPlayer = null;
+        this.sim.resetRoad(this.nextSeed(), this.ghostReplay ? this.ghostReplay.mode : this.sim.mode);
+        this.sim.resetState();
+        this.beginRun();
+        this.isPlaying = true;
+        this.lastTime = performance.now();
+        this.audio.resume();
+        this.audio.update(0);
+        this.scheduleFrame();
+    }
+
+    // 'oneway' or 'twoway' (oncoming traffic); rebuilds the current track
+    setMode(mode) {
+        if (this.ghostReplay && this.ghostReplay.mode !== mode) this.ghostReplay = null;
+        localStorage.setItem('gestureRiderMode', mode);
+        this.sim.resetRoad(this.sim.seed, mode);
+    }
+
+    nextSeed() {
+        if (this.ghostReplay) return this.ghostReplay.seed; // Race the ghost on its own track
+        return this.fixedSeed !== null ? this.fixedSeed : Math.floor(Math.random() * 1000000);
+    }
+
+    // Fresh recorder and ghost for a run that has just been reset
+    beginRun() {
+        this.input.clearHandTimer();
+        this.recorder = this.replayPlayer ? null : new ReplayRecorder(this.sim.seed, this.sim.mode);
+        this.sim.ghost = this.ghostReplay && !this.replayPlayer ? new Ghost(this.ghostReplay) : null;
+    }
+
+    // Race a replay's ghost from now on (null to ride alone); moves to its track
+    setGhost(replay) {
+        this.ghostReplay = replay;
+        if (replay) this.sim.resetRoad(replay.seed, replay.mode);
+    }
+
+    // Watch a replay: the run is re-driven from its recorded commands
+    playReplay(replay) {
+        document.getElementById('game-over-screen').classList.add('hidden');
+        this.sim.resetRoad(replay.seed, replay.mode);
+        this.sim.resetState();
+        this.replayPlayer = new ReplayPlayer(replay);
+        this.lastReplay = replay;
+        this.beginRun();
+        if (!this.isPlaying) {
+            this.start();
+        } else {
+            this.lastTime = performance.now();
+            this.audio.resume();
+        }
+    }
+
+    // Download a replay as a JSON file
+    exportReplay(replay) {
+        const blob = new Blob([JSON.stringify(replay)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `gesture-rider-${replay.seed}-${replay.score}.json`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    }
+
+    // Command for the next step: recorded when watching a replay, live otherwise
+    nextCommand() {
+        if (this.replayPlayer) {
+            const cmd = this.replayPlayer.next();
+            if (cmd) return cmd;
+            // Recording ran out before the run crashed: end it here
+            this.sim.endRun();
+            return { steer: 0, accel: 0, brake: 0 };
+        }
+        const cmd = this.input.getCommand();
+        return this.recorder ? this.recorder.record(cmd) : cmd;
+    }
+
+    start() {
+        if (!this.recorder && !this.replayPlayer) this.beginRun();
+        this.input.clearHandTimer();
+        this.audio.init();
+        this.audio.resume();
+        this.isPlaying = true;
+        this.sim.accumulator = 0;
+        this.lastTime = performance.now();
+        this.scheduleFrame();
+    }
+
+    scheduleFrame() {
+        if (this.frameId !== null) cancelAnimationFrame(this.frameId);
+        this.frameId = requestAnimationFrame(this.step);
+    }
+
+    // Freeze the run: the frame loop stops and the audio is suspended
+    pause(reason = '') {
+        if (this.paused || !this.isPlaying || this.sim.isGameOver) return;
+        this.paused = true;
+        this.isPlaying = false;
+        this.audio.suspend();
+        document.getElementById('pause-reason').innerText = reason;
+        document.getElementById('pause-screen').classList.remove('hidden');
+    }
+
+    resume() {
+        if (!this.paused) return;
+        this.paused = false;
+        this.isPlaying = true;
+        this.input.resetHandTimer();
+        this.audio.resume();
+        document.getElementById('pause-screen').classList.add('hidden');
+        this.lastTime = performance.now();
+        this.scheduleFrame();
+    }
+
+    togglePause() {
+        if (this.paused) this.resume();
+        else this.pause();
+    }
+
+    // Leave the run for the start screen; a fresh track is ready for the next start
+    quit() {
+        this.paused = false;
+        this.isPlaying = false;
+        this.recorder = null;
+        this.replayPlayer = null;
+        this.sim.resetRoad(this.nextSeed(), this.ghostReplay ? this.ghostReplay.mode : this.sim.mode);
+        this.sim.resetState();
+        this.audio.suspend();
+        document.getElementById('pause-screen').classList.add('hidden');
+        document.getElementById('game-over-screen').classList.add('hidden');
+    }
+
+    setAutoPause(seconds) {
+        this.autoPauseDelay = seconds;
+        localStorage.setItem('gestureRiderAutoPause', seconds);
+    }
+
+    // Per-frame output: audio, HUD and any events the simulation raised
+    present() {
+        const sim = this.sim;
+        this.audio.update(sim.speed / CONFIG.MAX_SPEED);
+
+        for (const event of sim.events) {
+            if (event.type === 'closeCall') this.showMessage((event.oncoming ? "HEAD-ON CLOSE CALL +" : "CLOSE CALL +") + event.points);
+            else if (event.type === 'wheelie') this.showMessage("WHEELIE +" + event.points);
+            else if (event.type === 'horn') this.audio.playHorn();
+            else if (event.type === 'slipstream') this.showMessage("SLIPSTREAM");
+            else if (event.type === 'weather') this.showMessage({ clear: "CLEARING UP", rain: "RAIN AHEAD", fog: "FOG AHEAD" }[event.weather]);
+            else if (event.type === 'hit') this.showMessage({ swipe: "SIDE SWIPE -", wobble: "WOBBLE -", scrape: "SCRAPE -" }[event.kind] + event.damage);
+            else if (event.type === 'crash') this.crashed();
+            else if (event.type === 'gameOver') this.showGameOver();
+        }
+        sim.events.length = 0;
+
+        // Update HUD
+        document.getElementById('scoreVal').innerText = Math.floor(sim.score);
+        document.getElementById('distVal').innerText = (sim.distanceRun / 100000).toFixed(1);
+        document.getElementById('speedVal').innerText = Math.floor(sim.speed / 100);
+        document.getElementById('multiplier-badge').classList.toggle('hidden', sim.scoreMultiplier() === 1);
+        document.getElementById('health-fill').style.width = (sim.health / CONFIG.DAMAGE.HEALTH * 100).toFixed(1) + '%';
+        document.getElementById('health-meter').classList.toggle('low', sim.health < CONFIG.DAMAGE.HEALTH * 0.3);
+        document.getElementById('nitro-fill').style.width = (sim.nitro * 100).toFixed(1) + '%';
+        document.getElementById('nitro-meter').classList.toggle('boosting', sim.boosting);
+        document.getElementById('replay-badge').classList.toggle('hidden', !this.replayPlayer);
+    }
+
+    showMessage(text) {
+        const msg = document.createElement('div');
+        msg.className = 'float-msg';
+        msg.innerText = text;
+        const area = document.getElementById('message-area');
+        area.appendChild(msg);
+        setTimeout(() => area.removeChild(msg), 1000);
+    }
+
+    // A fatal hit: the crash sequence plays before the game over screen
+    crashed() {
+        this.audio.playCrash();
+        this.renderer.particles.burst(40);
+    }
+
+    showGameOver() {
+        if (this.recorder) {
+            this.lastReplay = this.recorder.finish(this.sim.score);
+            this.recorder = null;
+        }
+        
+        // Watched replays don't count toward the high score
+        if (!this.replayPlayer) this.highScores.submit(this.sim.score, this.lastReplay);
+
+        document.getElementById('final-score').innerText = Math.floor(this.sim.score);
+        document.getElementById('best-score').innerText = this.highScores.best;
+        document.getElementById('track-seed').innerText = this.sim.seed;
+        document.getElementById('game-over-screen').classList.remove('hidden');
+    }
+
+    // Frame loop: the simulation steps and renders, then the HUD catches up
     step(now) {
+        this.frameId = null;
         if (!this.isPlaying) return;
-        const dt = Math.min(1, (now - this.lastTime) / 1000);
+        if (this.autoPauseDelay > 0 && !this.replayPlayer && !this.sim.isGameOver && this.input.handLostTime() > this.autoPauseDelay) {
+            this.pause('Hand lost');
+            return;
+        }
+        const slowMotion = this.sim.crashTime === null ? 1 : CONFIG.CRASH.SLOW_MOTION;
+        this.sim.frame(slowMotion * (now - this.lastTime) / 1000);
         this.lastTime = now;
-        this.update(dt);
-        this.render();
-        requestAnimationFrame(this.step);
+        this.present();
+        this.scheduleFrame();
     }
 }
 
 window.onload = () => {
+    // Offline play: cache the game and the hand model (needs http(s), not file://)
+    if ('serviceWorker' in navigator && window.location.protocol.startsWith('http')) {
+        navigator.serviceWorker.register('sw.js').catch(e => console.warn('Service worker not registered', e));
+    }
+
     const startBtn = document.getElementById('start-btn');
     const loadingMsg = document.getElementById('loading-msg');
     const overlay = document.getElementById('overlay-screen');
+    const calibrateBtn = document.getElementById('calibrate-btn');
+    const profileSelect = document.getElementById('profile-select');
+    const deleteProfileBtn = document.getElementById('delete-profile-btn');
+    const retryCameraBtn = document.getElementById('retry-camera-btn');
     const game = new Game();
+    const calibration = new CalibrationWizard(game.input);
     let gameStarted = false;
     let cameraReady = false;
 
+    // Populate the profile picker from saved calibration profiles
+    const refreshProfiles = () => {
+        const profiles = game.input.profiles;
+        profileSelect.innerHTML = '';
+        profileSelect.add(new Option('Default profile', ''));
+        profiles.names().forEach(name => profileSelect.add(new Option(name, name)));
+        profileSelect.value = profiles.activeName || '';
+        deleteProfileBtn.disabled = !profiles.activeName;
+    };
+    refreshProfiles();
+    profileSelect.addEventListener('change', () => {
+        game.input.profiles.setActive(profileSelect.value);
+        refreshProfiles();
+    });
+    deleteProfileBtn.addEventListener('click', () => {
+        game.input.profiles.remove(profileSelect.value);
+        refreshProfiles();
+    });
+    calibration.onClose = refreshProfiles;
+
+    // Key bindings
+    const settings = new SettingsPanel(game.input);
+    document.getElementById('settings-btn').addEventListener('click', () => settings.open());
+
+    // Game mode picker (one-way / two-way traffic)
+    const modeButtons = document.querySelectorAll('.mode-btn');
+    const refreshMode = () => modeButtons.forEach(btn => btn.classList.toggle('active', btn.dataset.mode === game.sim.mode));
+    modeButtons.forEach(btn => btn.addEventListener('click', () => {
+        game.setMode(btn.dataset.mode);
+        refreshGhost();
+    }));
+    refreshMode();
+
+    // Ghosts and replays: race the best run or an imported one, watch or export runs
+    const ghostBtn = document.getElementById('ghost-btn');
+    const watchGhostBtn = document.getElementById('watch-ghost-btn');
+    const replayFile = document.getElementById('replay-file');
+    const refreshGhost = () => {
+        ghostBtn.disabled = !game.ghostReplay && !game.highScores.bestReplay();
+        ghostBtn.classList.toggle('active', !!game.ghostReplay);
+        ghostBtn.innerText = game.ghostReplay ? `Ghost: ${game.ghostReplay.score} pts` : 'Race Best Ghost';
+        watchGhostBtn.disabled = !game.ghostReplay;
+        refreshMode();
+    };
+    ghostBtn.addEventListener('click', () => {
+        game.setGhost(game.ghostReplay ? null : game.highScores.bestReplay());
+        refreshGhost();
+    });
+    document.getElementById('import-replay-btn').addEventListener('click', () => replayFile.click());
+    replayFile.addEventListener('change', async () => {
+        const file = replayFile.files[0];
+        replayFile.value = '';
+        if (!file) return;
+        try {
+            game.setGhost(ReplayPlayer.parse(await file.text()));
+        } catch (e) {
+            loadingMsg.innerText = `Could not load replay: ${e.message}`;
+        }
+        refreshGhost();
+    });
+    watchGhostBtn.addEventListener('click', () => {
+        gameStarted = true;
+        overlay.classList.add('hidden');
+        game.playReplay(game.ghostReplay);
+    });
+    document.getElementById('watch-replay-btn').addEventListener('click', () => {
+        if (game.lastReplay) game.playReplay(game.lastReplay);
+    });
+    document.getElementById('export-replay-btn').addEventListener('click', () => {
+        if (game.lastReplay) game.exportReplay(game.lastReplay);
+    });
+    refreshGhost();
+
     // Function to start the game
     const startGame = () => {
         if (gameStarted) return;
@@ -963,37 +2957,103 @@ window.onload = () => {
         game.start();
     };
 
+    // Bound pause / restart keys
+    game.input.onAction = (action) => {
+        const panels = [settings.screen, cameraPanel.screen, calibration.screen];
+        if (panels.some(screen => !screen.classList.contains('hidden'))) return;
+        if (action === 'pause' && gameStarted) game.togglePause();
+        else if (action === 'restart') {
+            if (!gameStarted) startGame();
+            else game.restart();
+        }
+    };
+
+    // Quit from the pause screen back to the start screen
+    document.getElementById('quit-btn').addEventListener('click', () => {
+        game.quit();
+        gameStarted = false;
+        overlay.classList.remove('hidden');
+    });
+
+    // Camera device and hand-tracking quality
+    const cameraPanel = new CameraPanel(game.input);
+    document.getElementById('camera-btn').addEventListener('click', () => cameraPanel.open());
+
+    // Hand tracking mode and auto-pause (in the controls settings)
+    const handModeSelect = document.getElementById('hand-mode-select');
+    handModeSelect.value = game.input.handMode;
+    handModeSelect.addEventListener('change', () => game.input.setHandMode(handModeSelect.value));
+
+    const autoPauseSelect = document.getElementById('auto-pause-select');
+    autoPauseSelect.value = String(game.autoPauseDelay);
+    autoPauseSelect.addEventListener('change', () => game.setAutoPause(parseFloat(autoPauseSelect.value)));
+
     // Set up wave gesture callback for starting
     game.input.onWaveDetected = () => {
-        if (!gameStarted && cameraReady) {
+        if (!gameStarted && cameraReady && !game.input.calibration) {
             startGame();
-        } else if (game.isGameOver) {
+        } else if (game.paused) {
+            game.resume();
+        } else if (game.sim.isGameOver) {
             game.restart();
         }
     };
 
-    // Try to start camera immediately
-    (async () => {
+    // Camera running: gestures are available
+    const cameraStarted = () => {
+        cameraReady = true;
+        calibrateBtn.disabled = false;
+        startBtn.disabled = false;
+        startBtn.innerText = "START ENGINE";
+        retryCameraBtn.classList.add('hidden');
+        loadingMsg.innerHTML = '👋 <strong>Wave your hand</strong> to start<br>or click the button below';
+    };
+    cameraPanel.onCameraStarted = () => {
+        if (!cameraReady && !gameStarted) cameraStarted();
+    };
+
+    // No gestures: say why, keep the other controls, offer a retry
+    const gestureMessages = {
+        script: "Hand tracking couldn't be downloaded. It needs a connection the first time; check yours and retry.",
+        model: "The hand tracking model failed to load. Check your connection and retry.",
+        permission: "Camera access was denied. Allow it in the browser's site settings and retry.",
+        'no-camera': "No camera found. Connect one, or pick another under Camera, and retry.",
+        camera: "The camera couldn't be started. Close any other app using it and retry.",
+        tracking: "Hand tracking stopped working."
+    };
+    const gesturesFailed = (e) => {
+        console.error(e);
+        const message = gestureMessages[e.kind] || `Camera unavailable: ${e.message}`;
+        cameraReady = false;
+        calibrateBtn.disabled = true;
+        startBtn.disabled = false;
+        startBtn.innerText = "START (Keyboard Mode)";
+        loadingMsg.innerText = message + " Keyboard controls still work.";
+        retryCameraBtn.classList.remove('hidden');
+        if (gameStarted) game.pause(message);
+    };
+    game.input.onGestureError = gesturesFailed;
+
+    const startGestures = async () => {
+        retryCameraBtn.classList.add('hidden');
         startBtn.disabled = true;
         startBtn.innerText = "Loading Camera...";
         loadingMsg.innerText = "Initializing hand tracking...";
-        
         try {
-            await game.input.startCamera();
-            cameraReady = true;
-            startBtn.disabled = false;
-            startBtn.innerText = "START ENGINE";
-            loadingMsg.innerHTML = '👋 <strong>Wave your hand</strong> to start<br>or click the button below';
-        } catch(e) {
-            console.error(e);
-            cameraReady = false;
-            startBtn.disabled = false;
-            startBtn.innerText = "START (Keyboard Mode)";
-            loadingMsg.innerText = "Camera unavailable - Keyboard controls only";
+            await game.input.startGestures();
+            cameraStarted();
+        } catch (e) {
+            gesturesFailed(e);
         }
-    })();
+    };
+    retryCameraBtn.addEventListener('click', startGestures);
+
+    // Try to start camera immediately
+    startGestures();
 
     startBtn.addEventListener('click', () => {
         startGame();
     });
+
+    calibrateBtn.addEventListener('click', () => calibration.start());
 };
@@ -0,0 +1,1393 @@
+/**
+ * Gesture Rider simulation core: track, traffic, physics, scoring and
+ * replays, with no DOM, canvas or audio. game.js draws and drives it in
+ * the browser; the Node tests and benchmarks require() it directly.
+ */
+
+/**
+ * ------------------------------------------------------------------
+ * CONFIGURATION & CONSTANTS
+ * ------------------------------------------------------------------
+ */
+const CONFIG = {
+    FPS: 60,
+    STEP: 1 / 60, // Fixed simulation timestep in seconds
+    MAX_FRAME_TIME: 0.25, // Longest frame the simulation catches up on after a hitch
+    FOV: 100,
+    CAMERA_HEIGHT: 1000, 
+    CAMERA_DEPTH: 0.84, 
+    SEGMENT_LENGTH: 200, 
+    DRAW_DISTANCE: 300, 
+    LANES: 3,
+    ROAD_WIDTH: 2000,
+    MAX_SPEED: 12000, 
+    ACCEL: 100,
+    DRAG: 80, // Air resistance at MAX_SPEED, lets partial throttle settle at a cruising speed
+    BRAKING: -300,
+    DECEL: -50,
+    OFF_ROAD_DECEL: -200,
+    SKY_SPEED: 0.001, // Background scroll (in screen widths) per segment of curve travelled
+    HORIZON_SHIFT: 0.01, // Screen pixels the horizon drops per unit of rider elevation
+    // Background layers, furthest first: SPEED scales SKY_SPEED, RISE scales
+    // how far the layer follows the horizon as the rider climbs or dips
+    BACKGROUND: {
+        stars: { SPEED: 0.25, RISE: 0.2 },
+        mountains: { SPEED: 0.5, RISE: 0.4 },
+        skyline: { SPEED: 1, RISE: 0.7 },
+        hills: { SPEED: 2, RISE: 1 }
+    },
+
+    // Nitro: a meter (0..1) that burns for extra top speed and slowly refills
+    NITRO: {
+        MAX_SPEED: 15600, // Top speed while boosting
+        ACCEL: 250,
+        DRAIN: 0.35, // Meter used per second of boost
+        RECHARGE: 0.04, // Meter regained per second
+        FADE: 3000 // Speed lost per second after a boost until back under MAX_SPEED
+    },
+    HORN: { RANGE: 3000, WIDTH: 0.6, COOLDOWN: 1.0 }, // Cars this far ahead, across this width of road, move over
+    WHEELIE: { MIN_SPEED: 4000, TIME: 1.5, POINTS: 300 }, // Points per second on the back wheel
+
+    // Motorcycle handling: steering sets a lean, the lean turns the bike
+    BIKE: {
+        LEAN_RATE: 5, // How quickly the lean follows the bars (per second)
+        TURN: 2, // Road widths per second sideways at full lean and top speed
+        CENTRIFUGAL: 0.25, // Outward drift per unit of curve at top speed (grows with speed squared)
+        GRIP_OFF_ROAD: 0.5, // Grip multiplier off the tarmac
+        GRIP_HIGH_LEAN: 0.7, // Lean beyond which the tyres start to slide
+        GRIP_MIN: 0.6 // Grip left at full lean
+    },
+    // Damage: glancing and slow hits cost health, heavy or head-on hits end the run
+    DAMAGE: {
+        HEALTH: 100,
+        GLANCING: 0.6, // A car hit further off-centre than this share of the combined half-widths is a side-swipe
+        HEAVY_SPEED: 4000, // Closing speed above which a square hit on a car ends the run
+        SWIPE: 20, // Health a car hit costs, scaled up with the closing speed
+        SWIPE_SLOW: 0.8, // Share of the slower vehicle's speed kept after a car hit
+        KNOCK: 1.5, // Sideways speed (road widths per second) a hit knocks the bike
+        KNOCK_DECAY: 6,
+        WOBBLE_SPEED: 4000, // Trees clipped below this speed only cause a wobble
+        WOBBLE: 10, // Health a clipped tree costs
+        WOBBLE_TIME: 1.2,
+        SCRAPE: 8, // Health a rail or tunnel wall scrape costs
+        GRACE: 0.5 // Seconds after a hit before the next one counts
+    },
+    CRASH: { TIME: 1.0, SLIDE: 6000, SLOW_MOTION: 0.35 }, // Seconds of crash sequence, slide braking, frame-time scale
+    // Drafting behind a car: builds over time, lifts top speed
+    SLIPSTREAM: { RANGE: 1500, WIDTH: 0.3, BUILD: 1.5, FADE: 2, SPEED: 1500, ACCEL: 40 },
+
+    // Traffic behaviour per vehicle type (speeds in world units per second)
+    TRAFFIC: {
+        LANES: [-0.65, 0, 0.65], // Lane centres for 3 lanes; the white lines sit exactly between them
+        SIGNAL_TIME: 1.0, // Seconds of blinking before a lane change starts
+        ONCOMING_LANES: [-0.65], // Lanes driving toward the rider in two-way mode
+        ONCOMING_MULTIPLIER: 2, // Score multiplier for riding in, and close calls with, oncoming traffic
+        NEAR_BEHIND: 20, // Segments behind the rider still simulated every step (plus the draw distance ahead)
+        FAR_INTERVAL: 8, // Cars outside that window are advanced once every this many steps
+        MAX_STEP: 1 / 10, // Longest AI step in seconds when a far car catches up
+        CAR: { WIDTH: 0.45, MIN_SPEED: 4000, MAX_SPEED: 8000, ACCEL: 1500, BRAKE: 5000, GAP: 700, LANE_CHANGE_CHANCE: 0.3, LANE_CHANGE_RATE: 1.2 },
+        TRUCK: { WIDTH: 0.55, MIN_SPEED: 3000, MAX_SPEED: 5000, ACCEL: 500, BRAKE: 3000, GAP: 1200, LANE_CHANGE_CHANCE: 0.05, LANE_CHANGE_RATE: 0.6 }
+    },
+
+    // Gesture defaults, overridden by the active calibration profile
+    GESTURE: {
+        NEUTRAL_ANGLE: -Math.PI / 2,
+        MAX_TILT: 0.8,
+        DEAD_ZONE: 0.1,
+        EXTENSION_RATIO: 1.1, // Tip/PIP ratio at the centre of the coast band
+        OPEN_RATIO: 1.3, // Average tip/PIP ratio of an open palm (full throttle)
+        FIST_RATIO: 0.9, // Average tip/PIP ratio of a fist (full brake)
+        NEUTRAL_BAND: 0.2, // Openness range around the centre that coasts
+        PAUSE_HOLD: 1.0, // Seconds a flat palm must be held still to pause
+        PAUSE_FLAT_RATIO: 0.5, // Palm length/width below which it counts as flat (facing the floor)
+        PAUSE_STILL: 0.03, // Wrist movement (fraction of the frame) still counted as holding still
+        HAND_LOST_PAUSE: 2, // Default seconds without a hand before auto-pause (0 = off)
+        // Pose and motion classifier (distances relative to palm width)
+        CLASSIFIER: {
+            HOLD_FRAMES: 4, // Frames a pose must be seen in a row before it counts
+            EXTENDED: 1.15, // Finger tip/PIP ratio above which the finger is straight
+            CURLED: 0.95, // ...and below which it is curled
+            THUMB_OUT: 0.9, // Thumb tip to index knuckle distance for an extended thumb
+            PINCH: 0.3, // Thumb tip to index tip distance for a pinch
+            V_SPREAD: 0.45, // Index to middle tip distance for a "V"
+            FLICK_DISTANCE: 0.12, // Upward wrist travel (fraction of the frame)...
+            FLICK_TIME: 200, // ...within this many ms for a flick
+            FLICK_PULSE: 250 // ms a flick keeps its action pressed
+        },
+        // Which action each recognised gesture triggers
+        ACTIONS: { thumbsUp: 'nitro', pinch: 'horn', victory: 'wheelie', flick: 'wheelie' },
+        // Two-hand handlebar mode
+        TWO_HAND: {
+            MAX_ANGLE: 0.6, // Radians of bar tilt for full lock
+            DEAD_ZONE: 0.05,
+            GRIP_DEAD_ZONE: 0.2, // Grip below this is a relaxed hand
+            HANDOVER: 8 // Frames to ease in when a hand appears or drops out
+        },
+        // Smoothing of the raw hand readings
+        FILTER: {
+            MIN_CUTOFF: 1.0, // One-Euro cutoff (Hz) while the hand is still: lower = smoother
+            BETA: 0.6, // How fast the cutoff rises with tilt speed: higher = less lag
+            D_CUTOFF: 1.0, // Cutoff (Hz) for the tilt speed estimate
+            PREDICT: 0.05, // Seconds to extrapolate tilt ahead to cover camera/inference latency
+            MAX_PREDICT: 0.1, // ...at most, counting time since the last camera frame
+            HYSTERESIS: 0.06, // Openness margin to cross before accel/coast/brake changes
+            MIN_HOLD: 150 // ms a pedal state is kept before it may change
+        },
+        // Framing warnings in the webcam preview (hand size as a fraction of the frame)
+        PREVIEW: {
+            TOO_CLOSE: 0.8,
+            TOO_FAR: 0.2,
+            EDGE: 0.02 // Landmarks this close to the frame edge count as cut off
+        }
+    },
+
+    // Where the MediaPipe scripts, WASM and model files come from, in order
+    // of preference: the local copy in vendor/, then the CDN. Open the game
+    // with ?mediapipe=<base path> to try another location first.
+    MEDIAPIPE: {
+        BASE_PATHS: ['vendor/mediapipe/', 'https://cdn.jsdelivr.net/npm/@mediapipe/']
+    },
+
+    // Webcam and hand-tracking defaults (changeable in the camera settings)
+    CAMERA: {
+        WIDTH: 320,
+        HEIGHT: 240,
+        MODEL_COMPLEXITY: 1, // 0 = lite (faster), 1 = full
+        DETECTION_CONFIDENCE: 0.5,
+        TRACKING_CONFIDENCE: 0.5,
+        MIRROR: true // Show the preview like a mirror
+    },
+
+    // Keyboard, gamepad and tilt input
+    INPUT: {
+        STICK_DEAD_ZONE: 0.15,
+        TRIGGER_DEAD_ZONE: 0.05,
+        MAX_DEVICE_TILT: 30, // Degrees of device roll for full steering lock
+        TILT_DEAD_ZONE: 3,   // Degrees
+        // Default key bindings (KeyboardEvent.code), up to two per action
+        KEYS: {
+            left: ['KeyA', 'ArrowLeft'],
+            right: ['KeyD', 'ArrowRight'],
+            accel: ['KeyW', 'ArrowUp'],
+            brake: ['KeyS', 'ArrowDown'],
+            nitro: ['ShiftLeft', 'KeyN'],
+            horn: ['KeyH'],
+            wheelie: ['Space'],
+            pause: ['KeyP', 'Escape'],
+            restart: ['KeyR']
+        }
+    },
+
+    // Roadside scenery. WIDTH is the solid part in road widths (0 = ride through);
+    // HIT 'post' wobbles the bike at low speed and crashes it at speed, 'rail'
+    // scrapes and pushes it back. SPAN puts walls that far out on both sides
+    // of the road instead (tunnels).
+    SCENERY: {
+        tree: { WIDTH: 0.3, HIT: 'post' },
+        palm: { WIDTH: 0.2, HIT: 'post' },
+        cactus: { WIDTH: 0.2, HIT: 'post' },
+        sign: { WIDTH: 0.15, HIT: 'post' },
+        lamp: { WIDTH: 0.1, HIT: 'post' },
+        billboard: { WIDTH: 0.5, HIT: 'post' },
+        building: { WIDTH: 1.5, HIT: 'post' },
+        rail: { WIDTH: 0.1, HIT: 'rail' },
+        tunnel: { WIDTH: 0, SPAN: 1.25, HIT: 'rail' }
+    },
+
+    // Themed stretches of scenery, each BIOME_LENGTH segments long. Spawn rules
+    // try every EVERY segments with CHANCE, at an OFFSET range from the road
+    // centre, on SIDE 'random' (default), 'pair' (both sides) or 'centre', and
+    // repeat the sprite on RUN segments in a row.
+    BIOME_LENGTH: [300, 600],
+    BIOMES: {
+        forest: [
+            { TYPE: 'tree', EVERY: 20, CHANCE: 0.8, OFFSET: [1.5, 2.5] },
+            { TYPE: 'tree', EVERY: 7, CHANCE: 0.5, OFFSET: [2.5, 4] },
+            { TYPE: 'sign', EVERY: 150, CHANCE: 0.6, OFFSET: [1.3, 1.3] },
+            { TYPE: 'rail', EVERY: 200, CHANCE: 0.5, OFFSET: [1.2, 1.2], SIDE: 'pair', RUN: [10, 30] }
+        ],
+        city: [
+            { TYPE: 'building', EVERY: 6, CHANCE: 0.9, OFFSET: [2.8, 3.8] },
+            { TYPE: 'lamp', EVERY: 25, CHANCE: 1, OFFSET: [1.3, 1.3], SIDE: 'pair' },
+            { TYPE: 'billboard', EVERY: 90, CHANCE: 0.6, OFFSET: [1.8, 2.2] },
+            { TYPE: 'sign', EVERY: 120, CHANCE: 0.5, OFFSET: [1.3, 1.3] },
+            { TYPE: 'tunnel', EVERY: 300, CHANCE: 0.6, OFFSET: [0, 0], SIDE: 'centre', RUN: [20, 40] }
+        ],
+        coast: [
+            { TYPE: 'palm', EVERY: 15, CHANCE: 0.7, OFFSET: [1.5, 3] },
+            { TYPE: 'cactus', EVERY: 12, CHANCE: 0.5, OFFSET: [1.6, 3.5] },
+            { TYPE: 'billboard', EVERY: 150, CHANCE: 0.5, OFFSET: [1.8, 2.2] },
+            { TYPE: 'rail', EVERY: 150, CHANCE: 0.6, OFFSET: [1.2, 1.2], SIDE: 'random', RUN: [20, 60] }
+        ]
+    },
+
+    // Ground colours per biome laid over the night and day palettes
+    BIOME_COLORS: {
+        city: {
+            NIGHT: { GRASS_LIGHT: '#1c1c24', GRASS_DARK: '#18181f' },
+            DAY: { GRASS_LIGHT: '#8c8c94', GRASS_DARK: '#808088' }
+        },
+        coast: {
+            NIGHT: { GRASS_LIGHT: '#3a3420', GRASS_DARK: '#322c1a' },
+            DAY: { GRASS_LIGHT: '#e2cc8c', GRASS_DARK: '#d6be7e' }
+        }
+    },
+
+    // A full day takes CYCLE seconds of riding; runs start at START (0 = midnight, 0.5 = noon)
+    DAY_NIGHT: { CYCLE: 240, START: 0.8 },
+    HEADLIGHT_REACH: 40, // Segments the rider's headlight lights up at night
+    NIGHT_DARKNESS: 0.85, // How much of the unlit road disappears at midnight
+
+    // Weather changes every LEG_MIN..LEG_MAX units travelled, easing in over TRANSITION
+    WEATHER: {
+        LEG_MIN: 200000,
+        LEG_MAX: 400000,
+        TRANSITION: 30000,
+        // FOG: density; 1 - e^(-FOG * d^2) of the fog colour covers things d draw distances away
+        STATES: {
+            clear: { FOG: 1, RAIN: 0 },
+            rain: { FOG: 3, RAIN: 1 },
+            fog: { FOG: 10, RAIN: 0 }
+        },
+        WET_GRIP: 0.75 // Grip multiplier in full rain
+    },
+
+    // Night palette; DAY_COLORS is blended in with the daylight
+    COLORS: {
+        SKY_TOP: '#000022',
+        SKY_BOTTOM: '#003366',
+        ROAD_LIGHT: '#444444',
+        ROAD_DARK: '#3e3e3e',
+        GRASS_LIGHT: '#104010',
+        GRASS_DARK: '#0b300b',
+        LANE_MARKER: '#ffffff',
+        CENTER_LINE: '#ffcc00',
+        RUMBLE: '#550000',
+        FOG: '#001525',
+        TREE_TRUNK: '#443322',
+        TREE_LEAVES: '#004400',
+        MOUNTAINS: '#051020'
+    },
+    DAY_COLORS: {
+        SKY_TOP: '#3a7bd5',
+        SKY_BOTTOM: '#a8d8f0',
+        ROAD_LIGHT: '#6b6b6b',
+        ROAD_DARK: '#646464',
+        GRASS_LIGHT: '#3c8c2c',
+        GRASS_DARK: '#347a26',
+        LANE_MARKER: '#ffffff',
+        CENTER_LINE: '#ffcc00',
+        RUMBLE: '#aa1111',
+        FOG: '#b8c8d0',
+        TREE_TRUNK: '#664422',
+        TREE_LEAVES: '#1d6a1d',
+        MOUNTAINS: '#4a6078'
+    }
+};
+
+/**
+ * ------------------------------------------------------------------
+ * GAME LOGIC
+ * ------------------------------------------------------------------
+ */
+class Utils {
+    static project(p, cameraX, cameraY, cameraZ, cameraDepth, width, height, roadWidth) {
+        p.camera.x = (p.world.x || 0) - cameraX;
+        p.camera.y = (p.world.y || 0) - cameraY;
+        p.camera.z = (p.world.z || 0) - cameraZ;
+        if (p.camera.z <= 0) { p.screen.scale = 0; p.screen.w = 0; return; }
+        p.screen.scale = cameraDepth / p.camera.z;
+        p.screen.x = Math.round((width / 2) + (p.screen.scale * p.camera.x * width / 2));
+        p.screen.y = Math.round((height / 2) - (p.screen.scale * p.camera.y * height / 2));
+        p.screen.w = Math.round((p.screen.scale * roadWidth * width / 2));
+    }
+    static overlap(x1, w1, x2, w2) {
+        const half1 = w1/2; const half2 = w2/2;
+        const min1 = x1 - half1; const max1 = x1 + half1;
+        const min2 = x2 - half2; const max2 = x2 + half2;
+        return !((max1 < min2) || (min1 > max2));
+    }
+    static percentRemaining(n, total) { return (n % total) / total; }
+    // '#rrggbb' colours mixed t of the way from a to b, as '#rrggbb'
+    static blendColor(a, b, t) {
+        const mix = shift => {
+            const from = (parseInt(a.slice(1), 16) >> shift) & 255;
+            const to = (parseInt(b.slice(1), 16) >> shift) & 255;
+            return Math.round(from + (to - from) * t);
+        };
+        return '#' + ((1 << 24) | (mix(16) << 16) | (mix(8) << 8) | mix(0)).toString(16).slice(1);
+    }
+    static interpolate(a, b, percent) { return a + (b - a) * percent; }
+    static randomInt(min, max) { return Math.floor(Math.random() * (max - min + 1)) + min; }
+    static easeIn(a, b, percent) { return a + (b - a) * Math.pow(percent, 2); }
+    static easeInOut(a, b, percent) { return a + (b - a) * ((-Math.cos(percent * Math.PI) / 2) + 0.5); }
+}
+
+// Small deterministic PRNG (mulberry32) so a seed always rebuilds the same track
+class SeededRandom {
+    constructor(seed) {
+        this.state = seed >>> 0;
+    }
+
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    range(min, max) { return min + this.next() * (max - min); }
+    int(min, max) { return Math.floor(this.next() * (max - min + 1)) + min; }
+    pick(items) { return items[Math.floor(this.next() * items.length)]; }
+    sign() { return this.next() > 0.5 ? 1 : -1; }
+}
+
+class TrackGenerator {
+    constructor(seed) {
+        this.rng = new SeededRandom(seed);
+        this.layout = []; // Per-segment { curve, y }, y being the segment's far edge height
+        this.maxHeight = 60 * CONFIG.SEGMENT_LENGTH;
+        this.minHeight = -30 * CONFIG.SEGMENT_LENGTH;
+    }
+
+    lastY() { return this.layout.length ? this.layout[this.layout.length - 1].y : 0; }
+
+    // A section eases into its curve, holds it, and eases out again while the
+    // height changes smoothly by dy over its whole length
+    addSection(enter, hold, leave, curve, dy) {
+        const startY = this.lastY();
+        const endY = startY + dy;
+        const total = enter + hold + leave;
+        for (let n = 0; n < total; n++) {
+            let c = curve;
+            if (n < enter) c = Utils.easeIn(0, curve, n / enter);
+            else if (n >= enter + hold) c = Utils.easeInOut(curve, 0, (n - enter - hold) / leave);
+            this.layout.push({ curve: c, y: Utils.easeInOut(startY, endY, (n + 1) / total) });
+        }
+    }
+
+    // Height change that keeps the road within the elevation limits
+    randomHill() {
+        let dy = this.rng.sign() * this.rng.int(15, 45) * CONFIG.SEGMENT_LENGTH;
+        const y = this.lastY();
+        if (y + dy > this.maxHeight || y + dy < this.minHeight) dy = -dy;
+        return dy;
+    }
+
+    build(totalSegments) {
+        const maxSection = 140; // enter + hold + leave upper bound
+        const finish = 100; // Reserved to bring the road back to ground level before it loops
+        this.layout = [];
+        this.addSection(0, 30, 0, 0, 0); // Flat start line
+
+        while (this.layout.length < totalSegments - finish - maxSection) {
+            const roll = this.rng.next();
+            const enter = this.rng.int(10, 30);
+            const hold = this.rng.int(20, 80);
+            const leave = this.rng.int(10, 30);
+            const curve = this.rng.sign() * this.rng.range(1.5, 5);
+
+            if (roll < 0.25) this.addSection(0, this.rng.int(20, 60), 0, 0, 0);        // Straight
+            else if (roll < 0.55) this.addSection(enter, hold, leave, curve, 0);       // Flat curve
+            else if (roll < 0.8) this.addSection(enter, hold, leave, 0, this.randomHill()); // Hill or dip
+            else this.addSection(enter, hold, leave, curve, this.randomHill());        // Curving hill
+        }
+
+        const remaining = totalSegments - this.layout.length;
+        const enter = Math.floor(remaining / 3);
+        this.addSection(enter, remaining - 2 * enter, enter, 0, -this.lastY());
+        return this.layout;
+    }
+}
+
+/**
+ * ------------------------------------------------------------------
+ * TRAFFIC SIMULATION
+ * ------------------------------------------------------------------
+ */
+// Cars live in per-segment buckets (segment.cars, also used by the renderer)
+// plus a flat list. Cars near the rider run the full AI every step; far
+// cars run it at a lower rate in round-robin slices, and only cars in the
+// buckets around the rider are checked for collisions and close calls.
+class TrafficSystem {
+    constructor(segments, rng, mode = 'oneway') {
+        this.segments = segments;
+        this.rng = rng;
+        this.mode = mode;
+        this.cars = [];
+        this.tick = 0;
+        this.time = 0;
+        this.nextId = 0;
+        this.player = { z: 0, x: 0, speed: 0 };
+        this.trackLength = segments.length * CONFIG.SEGMENT_LENGTH;
+    }
+
+    static spec(type) {
+        return type === 'truck' ? CONFIG.TRAFFIC.TRUCK : CONFIG.TRAFFIC.CAR;
+    }
+
+    addCar(segmentIndex, offset, speed, type = 'car') {
+        const car = {
+            id: this.nextId++,
+            offset: offset,             // Current (animated) lateral position
+            targetOffset: offset,       // Lane centre the car is heading for
+            z: segmentIndex * CONFIG.SEGMENT_LENGTH,
+            speed: speed,
+            cruiseSpeed: speed,         // Speed the driver wants on a clear road
+            percent: 0,
+            type: type,
+            signal: 0,                  // Blinker: -1 left, 1 right, 0 off
+            signalTime: 0,
+            segment: segmentIndex,      // Bucket the car is filed under
+            lastUpdate: 0,              // Simulation time the car was last advanced to
+            justPassed: false
+        };
+        this.cars.push(car);
+        this.segments[segmentIndex].cars.push(car);
+        return car;
+    }
+
+    isOncomingLane(offset) {
+        return this.mode === 'twoway' && CONFIG.TRAFFIC.ONCOMING_LANES.includes(offset);
+    }
+
+    carDirection(car) { return car.cruiseSpeed < 0 ? -1 : 1; }
+
+    // Where a car is at simulation time t, extrapolated from its last update
+    currentZ(car, time) {
+        const z = car.z + car.speed * (time - car.lastUpdate);
+        return (z + this.trackLength) % this.trackLength;
+    }
+
+    // Signed distance from the player to z, wrapped to the nearest lap
+    distanceToPlayer(z) {
+        let dist = z - this.player.z;
+        if (dist < -this.trackLength/2) dist += this.trackLength;
+        if (dist > this.trackLength/2) dist -= this.trackLength;
+        return dist;
+    }
+
+    /**
+     * Advance all traffic by dt seconds. player is { z, x, speed }.
+     * Returns { closeCalls: [car], collision: car | null }.
+     */
+    step(dt, player) {
+        this.player = player;
+        this.tick++;
+        this.time += dt;
+
+        const count = this.segments.length;
+        const playerSegment = Math.floor(player.z / CONFIG.SEGMENT_LENGTH) % count;
+
+        // Full-rate updates for everything in or just behind the draw distance
+        const behind = CONFIG.TRAFFIC.NEAR_BEHIND;
+        for (let n = -behind; n <= CONFIG.DRAW_DISTANCE; n++) {
+            const bucket = this.segments[(playerSegment + n + count) % count].cars;
+            for (let i = bucket.length - 1; i >= 0; i--) {
+                if (i < bucket.length) this.advance(bucket[i]);
+            }
+        }
+
+        // Round-robin slice of the far cars, each catching up on its elapsed time
+        const interval = CONFIG.TRAFFIC.FAR_INTERVAL;
+        for (let i = this.tick % interval; i < this.cars.length; i += interval) {
+            this.advance(this.cars[i]);
+        }
+
+        return this.checkPlayer(dt, playerSegment);
+    }
+
+    advance(car) {
+        const elapsed = this.time - car.lastUpdate;
+        if (elapsed <= 0) return;
+
+        // Far cars catch up in sub-steps so following stays stable
+        const steps = Math.ceil(elapsed / CONFIG.TRAFFIC.MAX_STEP - 1e-9);
+        const dt = elapsed / steps;
+        for (let i = 0; i < steps; i++) {
+            this.driveCar(car, dt);
+            car.z += car.speed * dt;
+            if (car.z >= this.trackLength) car.z -= this.trackLength;
+            if (car.z < 0) car.z += this.trackLength;
+            car.lastUpdate += dt;
+        }
+        car.lastUpdate = this.time;
+
+        const segmentIndex = Math.floor(car.z / CONFIG.SEGMENT_LENGTH) % this.segments.length;
+        if (segmentIndex !== car.segment) {
+            // Swap-remove from the old bucket; order within a bucket doesn't matter
+            const bucket = this.segments[car.segment].cars;
+            const index = bucket.indexOf(car);
+            bucket[index] = bucket[bucket.length - 1];
+            bucket.pop();
+            this.segments[segmentIndex].cars.push(car);
+            car.segment = segmentIndex;
+        }
+
+        if (Math.abs(this.distanceToPlayer(car.z)) > 1000) car.justPassed = false;
+    }
+
+    // Close calls and collisions, only for the buckets the rider can reach this step
+    checkPlayer(dt, playerSegment) {
+        const result = { closeCalls: [], collision: null };
+        const player = this.player;
+        const maxClosing = player.speed + CONFIG.TRAFFIC.CAR.MAX_SPEED;
+        const span = Math.ceil((300 + maxClosing * dt) / CONFIG.SEGMENT_LENGTH) + 1;
+        const count = this.segments.length;
+
+        for (let n = -span; n <= span; n++) {
+            const bucket = this.segments[(playerSegment + n + count) % count].cars;
+            for (let i = 0; i < bucket.length; i++) {
+                const car = bucket[i];
+                const dist = this.distanceToPlayer(car.z);
+
+                // Distance at the start of this step, from the closing speed
+                const closingSpeed = player.speed - car.speed;
+                const prevDist = dist + closingSpeed * dt;
+
+                // Close Call / Overtake Logic
+                if (dist < -100 && prevDist > -300 && !car.justPassed) {
+                    // Check lateral distance
+                    // playerX is -1 to 1, car.offset is -1 to 1
+                    // Normalized lateral distance
+                    const lateralDist = Math.abs(player.x - car.offset);
+                    // Safe overtaking distance but close enough for thrill
+                    if (lateralDist < 0.8 && lateralDist > 0.35) {
+                        result.closeCalls.push(car);
+                        car.justPassed = true;
+                    }
+                }
+
+                // Collision Logic
+                // Sweep over the whole step so fast head-on approaches
+                // can't tunnel through the car
+                if (!result.collision && Math.min(dist, prevDist) < 200 && Math.max(dist, prevDist) > -200) {
+                    // Realistic Lane Splitting Logic:
+                    // Cars are roughly 0.45 width (leaving plenty of gap in a 1.0 lane)
+                    // Player is significantly narrowed to 0.15 (motorcycle width) to allow threading
+                    const carW = TrafficSystem.spec(car.type).WIDTH;
+                    const playerW = 0.15;
+
+                    if (Utils.overlap(player.x, playerW, car.offset, carW)) {
+                        result.collision = car;
+                    }
+                }
+            }
+        }
+        return result;
+    }
+
+    // Traffic AI: keep a following distance, slow down behind slower
+    // vehicles and occasionally signal and change lanes to get past.
+    // Oncoming cars drive the same logic mirrored along z.
+    driveCar(car, dt) {
+        const spec = TrafficSystem.spec(car.type);
+        const dir = this.carDirection(car);
+        const leader = this.findLeader(car);
+        let speed = car.speed * dir;
+
+        let targetSpeed = car.cruiseSpeed * dir;
+        if (leader) {
+            // Fastest speed that can still be braked down to the leader's by
+            // the time the gap shrinks to the following distance
+            const room = leader.gap - spec.GAP;
+            const followSpeed = room > 0
+                ? leader.speed + Math.sqrt(2 * spec.BRAKE * 0.5 * room)
+                : leader.speed * Math.max(0, leader.gap / spec.GAP);
+            targetSpeed = Math.max(0, Math.min(targetSpeed, followSpeed));
+        }
+
+        if (speed < targetSpeed) speed = Math.min(targetSpeed, speed + spec.ACCEL * dt);
+        else speed = Math.max(targetSpeed, speed - spec.BRAKE * dt);
+        // Never close the last stretch of the gap in one step (far cars take long steps)
+        if (leader) speed = Math.min(speed, Math.max(0, (leader.gap - 100) / dt + leader.speed));
+        car.speed = speed * dir;
+
+        if (car.signal !== 0) {
+            car.signalTime += dt;
+            const starting = CONFIG.TRAFFIC.LANES.includes(car.offset);
+            if (starting && car.signalTime >= CONFIG.TRAFFIC.SIGNAL_TIME &&
+                !this.laneIsClear(car, car.targetOffset, spec.GAP)) {
+                // Lane filled up while signalling: keep waiting, give up eventually
+                if (car.signalTime > CONFIG.TRAFFIC.SIGNAL_TIME * 3) {
+                    car.targetOffset = car.offset;
+                    car.signal = 0;
+                    car.signalTime = 0;
+                }
+            } else if (car.signalTime >= CONFIG.TRAFFIC.SIGNAL_TIME) {
+                // Signalled long enough: steer towards the new lane
+                const step = spec.LANE_CHANGE_RATE * dt;
+                const delta = car.targetOffset - car.offset;
+                car.offset = Math.abs(delta) <= step ? car.targetOffset : car.offset + Math.sign(delta) * step;
+                if (car.offset === car.targetOffset) {
+                    car.signal = 0;
+                    car.signalTime = 0;
+                }
+            }
+            return;
+        }
+
+        // Blocked drivers look for a way past; everyone drifts lanes now and then
+        const blocked = leader && leader.gap < spec.GAP * 2 && leader.speed < car.cruiseSpeed * dir * 0.9;
+        const chance = spec.LANE_CHANGE_CHANCE * dt * (blocked ? 1 : 0.1);
+        if (this.rng.next() < chance) {
+            const lanes = CONFIG.TRAFFIC.LANES;
+            const lane = lanes.indexOf(car.targetOffset);
+            const options = [lane - 1, lane + 1].filter(l => l >= 0 && l < lanes.length && this.isOncomingLane(lanes[l]) === (dir < 0));
+            if (options.length === 0) return;
+            const target = lanes[this.rng.pick(options)];
+            if (this.laneIsClear(car, target, spec.GAP)) {
+                car.targetOffset = target;
+                car.signal = target < car.offset ? -1 : 1;
+                car.signalTime = 0;
+            }
+        }
+    }
+
+    // Cars from the rider out to range ahead that overlap the rider's path,
+    // nearest first
+    carsAhead(range, width) {
+        const player = this.player;
+        const count = this.segments.length;
+        const first = Math.floor(player.z / CONFIG.SEGMENT_LENGTH);
+        const found = [];
+        for (let n = 0; n <= Math.ceil(range / CONFIG.SEGMENT_LENGTH); n++) {
+            for (const car of this.segments[(first + n) % count].cars) {
+                const dist = this.distanceToPlayer(car.z);
+                if (dist < 0 || dist > range) continue;
+                if (Utils.overlap(player.x, width, car.offset, TrafficSystem.spec(car.type).WIDTH)) found.push(car);
+            }
+        }
+        return found;
+    }
+
+    // The rider's horn: cars just ahead in the rider's path pull over to a
+    // clear neighbouring lane, with only a short blink first. Returns them.
+    honk() {
+        const player = this.player;
+        const moved = [];
+        for (const car of this.carsAhead(CONFIG.HORN.RANGE, CONFIG.HORN.WIDTH)) {
+            if (car.signal !== 0) continue;
+
+            // Move away from the rider where there's a choice
+            const spec = TrafficSystem.spec(car.type);
+            const dir = this.carDirection(car);
+            const lanes = CONFIG.TRAFFIC.LANES;
+            const lane = lanes.indexOf(car.targetOffset);
+            const options = [lane - 1, lane + 1]
+                .filter(l => l >= 0 && l < lanes.length && this.isOncomingLane(lanes[l]) === (dir < 0))
+                .map(l => lanes[l])
+                .filter(target => this.laneIsClear(car, target, spec.GAP))
+                .sort((a, b) => Math.abs(b - player.x) - Math.abs(a - player.x));
+            if (options.length === 0) continue;
+            car.targetOffset = options[0];
+            car.signal = options[0] < car.offset ? -1 : 1;
+            car.signalTime = CONFIG.TRAFFIC.SIGNAL_TIME * 0.75;
+            moved.push(car);
+        }
+        return moved;
+    }
+
+    // Nearest vehicle (or the player) ahead that shares this car's lane,
+    // looking as far as the car needs to stop from its current speed.
+    // Gaps and speeds are measured along the car's direction of travel.
+    findLeader(car) {
+        const trackLen = this.trackLength;
+        const spec = TrafficSystem.spec(car.type);
+        const dir = this.carDirection(car);
+        const reach = spec.GAP + (car.speed * car.speed) / (2 * spec.BRAKE) + CONFIG.SEGMENT_LENGTH;
+        const lookAhead = Math.ceil(reach / CONFIG.SEGMENT_LENGTH);
+        const width = spec.WIDTH;
+        let leader = null;
+
+        // Oncoming drivers leave dodging to the rider
+        let playerGap = this.player.z - car.z;
+        if (playerGap < 0) playerGap += trackLen;
+        if (dir > 0 && playerGap < reach && this.sharesLane(car, width, this.player.x, 0.15)) {
+            leader = { gap: playerGap, speed: this.player.speed };
+        }
+
+        // Buckets lag cars that haven't been advanced yet, so keep scanning a
+        // few segments past the first hit before trusting it
+        const margin = CONFIG.TRAFFIC.FAR_INTERVAL * CONFIG.TRAFFIC.CAR.MAX_SPEED / CONFIG.FPS + CONFIG.SEGMENT_LENGTH;
+        for (let n = 0; n <= lookAhead; n++) {
+            if (leader && leader.gap < n * CONFIG.SEGMENT_LENGTH - margin) break;
+            const segment = this.segments[(car.segment + n * dir + this.segments.length) % this.segments.length];
+            for (let i = 0; i < segment.cars.length; i++) {
+                const other = segment.cars[i];
+                if (other === car || this.carDirection(other) !== dir) continue;
+                let gap = (this.currentZ(other, car.lastUpdate) - car.z) * dir;
+                if (gap < 0) gap += trackLen;
+                if (gap <= 0 || gap >= reach || (leader && gap >= leader.gap)) continue;
+                if (this.sharesLane(car, width, other.offset, TrafficSystem.spec(other.type).WIDTH) ||
+                    this.sharesLane(car, width, other.targetOffset, TrafficSystem.spec(other.type).WIDTH)) {
+                    leader = { gap: gap, speed: other.speed * dir };
+                }
+            }
+        }
+        return leader;
+    }
+
+    sharesLane(car, width, offset, otherWidth) {
+        return Utils.overlap(car.offset, width, offset, otherWidth) || Utils.overlap(car.targetOffset, width, offset, otherWidth);
+    }
+
+    // True when nothing occupies the target lane within gap in front or
+    // behind, plus room to brake for whoever is closing in
+    laneIsClear(car, target, gap) {
+        const trackLen = this.trackLength;
+        const width = TrafficSystem.spec(car.type).WIDTH;
+        const dir = this.carDirection(car);
+        const closingTime = 0.5; // Seconds of closing speed added to the gap
+        const blocks = (z, speed) => {
+            let dist = z - car.z;
+            if (dist < -trackLen/2) dist += trackLen;
+            if (dist > trackLen/2) dist -= trackLen;
+            const closing = (dist * dir > 0 ? car.speed - speed : speed - car.speed) * dir;
+            return Math.abs(dist) < gap + Math.max(0, closing) * closingTime;
+        };
+
+        if (Utils.overlap(target, width, this.player.x, 0.15) && blocks(this.player.z, this.player.speed)) return false;
+
+        const span = Math.ceil((gap + CONFIG.TRAFFIC.CAR.MAX_SPEED * closingTime) / CONFIG.SEGMENT_LENGTH);
+        for (let n = -span; n <= span; n++) {
+            const segment = this.segments[(car.segment + n + this.segments.length) % this.segments.length];
+            for (let i = 0; i < segment.cars.length; i++) {
+                const other = segment.cars[i];
+                if (other === car || !blocks(this.currentZ(other, car.lastUpdate), other.speed)) continue;
+                const otherW = TrafficSystem.spec(other.type).WIDTH;
+                if (Utils.overlap(target, width, other.offset, otherW) || Utils.overlap(target, width, other.targetOffset, otherW)) return false;
+            }
+        }
+        return true;
+    }
+}
+
+/**
+ * ------------------------------------------------------------------
+ * TIME OF DAY & WEATHER
+ * ------------------------------------------------------------------
+ */
+// The clock runs on simulated time. The weather follows its own seeded
+// schedule by distance travelled: clear spells alternate with rain or fog,
+// each change easing in over WEATHER.TRANSITION.
+class Environment {
+    constructor(seed) {
+        this.rng = new SeededRandom(seed ^ 0x5eed); // Apart from the track's, so traffic stays the same
+        this.clock = CONFIG.DAY_NIGHT.START * CONFIG.DAY_NIGHT.CYCLE;
+        this.from = 'clear';
+        this.to = 'clear';
+        this.changedAt = 0;
+        this.distance = 0;
+        this.nextChange = this.leg();
+    }
+
+    leg() { return this.rng.range(CONFIG.WEATHER.LEG_MIN, CONFIG.WEATHER.LEG_MAX); }
+
+    // Returns the new weather when a change starts, otherwise null
+    update(dt, distance) {
+        this.clock = (this.clock + dt) % CONFIG.DAY_NIGHT.CYCLE;
+        this.distance = distance;
+        if (distance < this.nextChange) return null;
+        this.from = this.to;
+        this.to = this.to === 'clear' ? this.rng.pick(['rain', 'fog']) : 'clear';
+        this.changedAt = distance;
+        this.nextChange = distance + CONFIG.WEATHER.TRANSITION + this.leg();
+        return this.to;
+    }
+
+    // 0 at midnight, 0.5 at noon
+    get timeOfDay() { return this.clock / CONFIG.DAY_NIGHT.CYCLE; }
+
+    // 0 at night, 1 in full daylight, with dawn and dusk in between
+    get daylight() {
+        const sun = -Math.cos(2 * Math.PI * this.timeOfDay);
+        return Math.max(0, Math.min(1, 0.5 + sun * 1.5));
+    }
+
+    // The weather the current change is heading for, or has settled on
+    get weather() { return this.to; }
+
+    get fog() { return this.blend('FOG'); }
+    get rain() { return this.blend('RAIN'); }
+
+    // A weather property eased from the old state to the new one
+    blend(key) {
+        const states = CONFIG.WEATHER.STATES;
+        const t = Math.min(1, (this.distance - this.changedAt) / CONFIG.WEATHER.TRANSITION);
+        return states[this.from][key] + (states[this.to][key] - states[this.from][key]) * t;
+    }
+}
+
+/**
+ * ------------------------------------------------------------------
+ * REPLAYS & GHOSTS
+ * ------------------------------------------------------------------
+ */
+// A replay is the track seed and mode plus one command per simulation step.
+// Commands are quantized to hundredths and run-length encoded as
+// [repeat, steer, accel, brake, actions] with each value stored as an
+// integer x100 and actions as bit flags. Versions 1 to 6 predate the
+// current handling, damage, weather, scenery and drag and would no longer replay the same.
+const REPLAY_ACTIONS = ['nitro', 'horn', 'wheelie'];
+
+class ReplayRecorder {
+    constructor(seed, mode) {
+        this.replay = { version: 7, seed: seed, mode: mode, step: CONFIG.STEP, ticks: 0, score: 0, commands: [] };
+    }
+
+    // Returns the quantized command; the live run must use it too so the
+    // replay reproduces it exactly
+    record(cmd) {
+        const steer = Math.round(cmd.steer * 100);
+        const accel = Math.round(cmd.accel * 100);
+        const brake = Math.round(cmd.brake * 100);
+        const flags = REPLAY_ACTIONS.reduce((bits, action, i) => cmd[action] ? bits | (1 << i) : bits, 0);
+        const commands = this.replay.commands;
+        const last = commands[commands.length - 1];
+        if (last && last[1] === steer && last[2] === accel && last[3] === brake && last[4] === flags) last[0]++;
+        else commands.push([1, steer, accel, brake, flags]);
+        this.replay.ticks++;
+        return ReplayPlayer.decode([1, steer, accel, brake, flags]);
+    }
+
+    finish(score) {
+        this.replay.score = Math.floor(score);
+        return this.replay;
+    }
+}
+
+class ReplayPlayer {
+    constructor(replay) {
+        this.commands = replay.commands;
+        this.index = 0;
+        this.repeat = 0;
+    }
+
+    // Next step's command, or null once the recording runs out
+    next() {
+        const run = this.commands[this.index];
+        if (!run) return null;
+        if (++this.repeat >= run[0]) {
+            this.index++;
+            this.repeat = 0;
+        }
+        return ReplayPlayer.decode(run);
+    }
+
+    get finished() { return this.index >= this.commands.length; }
+
+    static decode(run) {
+        const cmd = { steer: run[1] / 100, accel: run[2] / 100, brake: run[3] / 100 };
+        const flags = run[4] || 0;
+        REPLAY_ACTIONS.forEach((action, i) => cmd[action] = (flags & (1 << i)) !== 0);
+        return cmd;
+    }
+
+    // Parse and sanity-check an imported replay; throws on anything unusable
+    static parse(text) {
+        const replay = JSON.parse(text);
+        if (!replay || !Number.isFinite(replay.version) || !Number.isFinite(replay.seed) || !Array.isArray(replay.commands)) {
+            throw new Error('Not a Gesture Rider replay');
+        }
+        if (replay.version < 7) throw new Error('Replay was recorded with older game physics');
+        if (replay.version !== 7) throw new Error('Replay is from a newer version of the game');
+        if (replay.step !== CONFIG.STEP) throw new Error('Replay was recorded with a different timestep');
+        const valid = replay.commands.every(c => Array.isArray(c) && c.length === 5 && c.every(Number.isFinite) && c[0] > 0);
+        if (!valid) throw new Error('Replay commands are corrupt');
+        replay.mode = replay.mode === 'twoway' ? 'twoway' : 'oneway';
+        return replay;
+    }
+}
+
+// A ghost re-runs a replay in its own headless simulation, stepped in lock
+// step with the live game, so it rides exactly as the recorded run did
+class Ghost {
+    constructor(replay) {
+        this.replay = replay;
+        this.player = new ReplayPlayer(replay);
+        this.sim = new Simulation({ mode: replay.mode, seed: replay.seed });
+    }
+
+    update(dt) {
+        const cmd = this.player.next();
+        if (cmd) this.sim.update(dt, cmd);
+    }
+
+    // Ghost rider's track position interpolated for rendering, or null once it has crashed
+    positionAt(alpha, trackLength) {
+        if (this.sim.isGameOver) return null;
+        let moved = this.sim.position - this.sim.prevPosition;
+        if (moved < -trackLength / 2) moved += trackLength;
+        return {
+            z: (this.sim.prevPosition + moved * alpha + CONFIG.CAMERA_HEIGHT) % trackLength,
+            x: Utils.interpolate(this.sim.prevPlayerX, this.sim.playerX, alpha)
+        };
+    }
+}
+
+/**
+ * ------------------------------------------------------------------
+ * SIMULATION
+ * ------------------------------------------------------------------
+ */
+// Best score and the replay of the run that set it, kept in a
+// localStorage-like store (getItem / setItem)
+class HighScores {
+    constructor(storage) {
+        this.storage = storage;
+        this.best = parseInt(storage.getItem('gestureRiderHighScore')) || 0;
+    }
+
+    // Records a finished run; returns true if it beat the best score
+    submit(score, replay = null) {
+        score = Math.floor(score);
+        if (score <= this.best) return false;
+        this.best = score;
+        this.storage.setItem('gestureRiderHighScore', score);
+        if (replay) {
+            try {
+                this.storage.setItem('gestureRiderBestGhost', JSON.stringify(replay));
+            } catch (e) {
+                console.warn('Best ghost too large to save', e);
+            }
+        }
+        return true;
+    }
+
+    // Replay of the best run, or null if none is saved or it can't be read
+    bestReplay() {
+        try {
+            return ReplayPlayer.parse(this.storage.getItem('gestureRiderBestGhost') || '');
+        } catch (e) {
+            return null;
+        }
+    }
+}
+
+/**
+ * Rider, track and traffic with no DOM, canvas or audio, so the same code
+ * runs in the browser and under Node.
+ *
+ * options.input    command source: getCommand() -> { steer, accel, brake }
+ * options.renderer draws a frame: render(sim, alpha)
+ * options.mode     'oneway' or 'twoway' (oncoming traffic)
+ * options.seed     track seed
+ *
+ * Both are optional: without them, drive the simulation with update().
+ */
+class Simulation {
+    constructor(options = {}) {
+        this.input = options.input || null;
+        this.renderer = options.renderer || null;
+
+        this.position = 0;
+        this.playerX = 0;
+        this.speed = 0;
+        this.score = 0;
+        this.distanceRun = 0;
+        this.segments = [];
+        this.tick = 0;            // Simulation steps since the run started
+        this.accumulator = 0;     // Frame time not yet consumed by fixed steps
+        this.prevPosition = 0;    // Previous step's state, for render interpolation
+        this.prevPlayerX = 0;
+        this.events = [];         // Events waiting to be presented (close calls, hits, crash)
+        this.isGameOver = false;
+        this.ghost = null;        // Ghost rider raced in this run
+        this.nitro = 1;           // Boost meter, 0..1
+        this.boosting = false;
+        this.hornCooldown = 0;
+        this.wheelie = null;      // Seconds into the current wheelie, null when both wheels are down
+        this.held = {};           // Horn / wheelie pressed last step, to act on new presses only
+        this.lean = 0;            // Bike lean, -1..1 (positive leans left)
+        this.slipstream = 0;      // Draft behind a car, 0..1
+        this.health = CONFIG.DAMAGE.HEALTH;
+        this.knock = 0;           // Sideways speed from the last hit
+        this.wobble = 0;          // Seconds of wobble left
+        this.grace = 0;           // Seconds until another hit counts
+        this.crashTime = null;    // Seconds into the crash sequence, null while riding
+
+        this.resetRoad(options.seed || 0, options.mode || 'oneway');
+    }
+
+    resetRoad(seed = this.seed, mode = this.mode) {
+        this.seed = seed;
+        this.mode = mode;
+        this.rng = new SeededRandom(seed);
+        this.segments = [];
+        const TOTAL_SEGMENTS = 2000; 
+        const layout = new TrackGenerator(seed).build(TOTAL_SEGMENTS);
+        this.environment = new Environment(seed);
+        for (let i = 0; i < TOTAL_SEGMENTS; i++) {
+            const startY = layout[(i + TOTAL_SEGMENTS - 1) % TOTAL_SEGMENTS].y;
+            this.segments.push({
+                index: i,
+                biome: null,
+                p1: { world: { y: startY, z: i * CONFIG.SEGMENT_LENGTH }, camera: {}, screen: {} },
+                p2: { world: { y: layout[i].y, z: (i + 1) * CONFIG.SEGMENT_LENGTH }, camera: {}, screen: {} },
+                curve: layout[i].curve,
+                cars: [],
+                sprites: []
+            });
+        }
+
+        this.traffic = new TrafficSystem(this.segments, this.rng, this.mode);
+        for (let i = 0; i < TOTAL_SEGMENTS; i++) {
+            if (i > 20 && i % 40 === 0 && this.rng.next() > 0.3) {
+                const type = this.rng.next() > 0.5 ? 'car' : 'truck';
+                const spec = TrafficSystem.spec(type);
+                const lane = this.rng.pick(CONFIG.TRAFFIC.LANES);
+                const direction = this.traffic.isOncomingLane(lane) ? -1 : 1;
+                this.addCar(i, lane, direction * this.rng.int(spec.MIN_SPEED, spec.MAX_SPEED), type);
+            }
+        }
+        this.placeScenery(new SeededRandom(seed ^ 0xb10e));
+    }
+
+    // Lay the track out in biome stretches and dress each with its scenery.
+    // Uses its own random stream, so scenery changes leave the traffic alone.
+    placeScenery(rng) {
+        const names = Object.keys(CONFIG.BIOMES);
+        let biome = null;
+        for (let start = 0; start < this.segments.length;) {
+            biome = rng.pick(names.filter(name => name !== biome));
+            const end = Math.min(this.segments.length, start + rng.int(CONFIG.BIOME_LENGTH[0], CONFIG.BIOME_LENGTH[1]));
+            for (let i = start; i < end; i++) {
+                this.segments[i].biome = biome;
+                for (const rule of CONFIG.BIOMES[biome]) {
+                    if (i % rule.EVERY === 0 && rng.next() < rule.CHANCE) this.spawnScenery(rng, rule, i, end);
+                }
+            }
+            start = end;
+        }
+    }
+
+    spawnScenery(rng, rule, index, end) {
+        const offset = rng.range(rule.OFFSET[0], rule.OFFSET[1]);
+        const side = rule.SIDE === 'centre' ? 0 : rng.sign();
+        const run = rule.RUN ? Math.min(end - index, rng.int(rule.RUN[0], rule.RUN[1])) : 1;
+        const variant = rng.next();
+        for (let i = index; i < index + run; i++) {
+            if (rule.SIDE === 'pair') {
+                this.addSprite(i, -offset, rule.TYPE, variant);
+                this.addSprite(i, offset, rule.TYPE, variant);
+            } else {
+                this.addSprite(i, side * offset, rule.TYPE, variant);
+            }
+        }
+    }
+
+    // State for a fresh run on the current track
+    resetState() {
+        this.speed = 0;
+        this.score = 0;
+        this.distanceRun = 0;
+        this.position = 0;
+        this.playerX = 0;
+        this.prevPosition = 0;
+        this.prevPlayerX = 0;
+        this.tick = 0;
+        this.accumulator = 0;
+        this.events = [];
+        this.isGameOver = false;
+        this.nitro = 1;
+        this.boosting = false;
+        this.hornCooldown = 0;
+        this.wheelie = null;
+        this.held = {};
+        this.lean = 0;
+        this.slipstream = 0;
+        this.health = CONFIG.DAMAGE.HEALTH;
+        this.knock = 0;
+        this.wobble = 0;
+        this.grace = 0;
+        this.crashTime = null;
+    }
+
+    addCar(segmentIndex, offset, speed, type = 'car') {
+        return this.traffic.addCar(segmentIndex, offset, speed, type);
+    }
+
+    // variant (0..1) lets the renderer vary a type's look, e.g. building heights
+    addSprite(segmentIndex, offset, type, variant = 0) {
+        this.segments[segmentIndex].sprites.push({ offset: offset, type: type, variant: variant });
+    }
+
+    // Run as many fixed steps as frameTime (seconds) covers, pulling a
+    // command from the input for each, then render interpolated between
+    // the last two steps
+    frame(frameTime) {
+        this.accumulator += Math.min(CONFIG.MAX_FRAME_TIME, Math.max(0, frameTime));
+        while (this.accumulator >= CONFIG.STEP) {
+            const cmd = this.isGameOver ? null : this.input.getCommand();
+            this.update(CONFIG.STEP, cmd);
+            if (this.ghost && !this.isGameOver) this.ghost.update(CONFIG.STEP);
+            this.accumulator -= CONFIG.STEP;
+        }
+        if (this.renderer) this.renderer.render(this, this.accumulator / CONFIG.STEP);
+    }
+
+    /**
+     * Advance the simulation by one fixed step. Depends only on the current
+     * state, the seeded track and cmd ({ steer, accel, brake } plus optional
+     * nitro / horn / wheelie flags), so the same
+     * seed and commands always replay the same run. Anything the player sees
+     * or hears is raised in this.events for the caller to present.
+     */
+    update(dt, cmd) {
+        this.prevPosition = this.position;
+        this.prevPlayerX = this.playerX;
+        if (this.isGameOver) return;
+
+        this.tick++;
+        if (this.crashTime !== null) return this.updateCrash(dt);
+        const weather = this.environment.update(dt, this.distanceRun);
+        if (weather) this.events.push({ type: 'weather', weather: weather });
+
+        const ratio = this.speed / CONFIG.MAX_SPEED;
+        
+        // Drag acts whatever the pedals do, so a touch of throttle never slows
+        // the bike more than letting go
+        if (cmd.accel > 0) this.speed += CONFIG.ACCEL * cmd.accel * dt * 60;
+        else if (cmd.brake > 0) this.speed += CONFIG.BRAKING * cmd.brake * dt * 60;
+        else this.speed += CONFIG.DECEL * dt * 60;
+        this.speed -= CONFIG.DRAG * ratio * ratio * dt * 60;
+
+        // Nitro lifts the top speed while the meter lasts; afterwards the
+        // bike fades back down to MAX_SPEED
+        this.boosting = !!cmd.nitro && this.nitro > 0 && cmd.brake === 0;
+        if (this.boosting) {
+            this.nitro = Math.max(0, this.nitro - CONFIG.NITRO.DRAIN * dt);
+            this.speed += CONFIG.NITRO.ACCEL * dt * 60;
+        } else {
+            this.nitro = Math.min(1, this.nitro + CONFIG.NITRO.RECHARGE * dt);
+        }
+        this.updateSlipstream(dt, cmd);
+        const cruise = CONFIG.MAX_SPEED + CONFIG.SLIPSTREAM.SPEED * this.slipstream;
+        const topSpeed = this.boosting ? CONFIG.NITRO.MAX_SPEED : Math.max(cruise, this.speed - CONFIG.NITRO.FADE * dt);
+        this.speed = Math.max(0, Math.min(this.speed, topSpeed));
+
+        this.updateWheelie(dt, cmd);
+        const steer = this.wheelie !== null ? cmd.steer * 0.5 : cmd.steer; // Front wheel in the air
+        this.wobble = Math.max(0, this.wobble - dt);
+        this.lean += (this.leanTarget(steer) - this.lean) * Math.min(1, CONFIG.BIKE.LEAN_RATE * dt);
+
+        // The lean turns the bike as far as the tyres grip; curves push it
+        // toward the outside edge, harder the faster it goes
+        const speedRatio = this.speed / CONFIG.MAX_SPEED;
+        const playerSegment = this.findSegment(this.position + CONFIG.CAMERA_DEPTH * CONFIG.SEGMENT_LENGTH);
+        this.playerX -= dt * CONFIG.BIKE.TURN * this.lean * this.grip() * speedRatio;
+        this.playerX -= dt * CONFIG.BIKE.CENTRIFUGAL * playerSegment.curve * speedRatio * speedRatio;
+        this.playerX += this.knock * dt;
+        this.knock *= Math.max(0, 1 - CONFIG.DAMAGE.KNOCK_DECAY * dt);
+        this.grace = Math.max(0, this.grace - dt);
+
+        if ((this.playerX < -1 || this.playerX > 1) && this.speed > 2000) this.speed += CONFIG.OFF_ROAD_DECEL * dt * 60;
+        
+        this.playerX = Math.max(-2, Math.min(2, this.playerX));
+        this.position += this.speed * dt;
+        this.distanceRun += this.speed * dt;
+        
+        const trackLength = this.segments.length * CONFIG.SEGMENT_LENGTH;
+        if (this.position >= trackLength) this.position -= trackLength;
+        if (this.position < 0) this.position += trackLength;
+
+        this.updateTraffic(dt);
+        this.updateHorn(dt, cmd);
+        this.checkSpriteCollisions(); // Check tree collisions
+        this.held = { horn: !!cmd.horn, wheelie: !!cmd.wheelie };
+    }
+
+    // Where the lean heads: the bars, plus a fading sway while wobbling
+    leanTarget(steer) {
+        if (this.wobble === 0) return steer;
+        const sway = Math.sin(this.wobble * 20) * 0.6 * this.wobble / CONFIG.DAMAGE.WOBBLE_TIME;
+        return Math.max(-1, Math.min(1, steer + sway));
+    }
+
+    // Tyre grip, 0..1: full on dry tarmac, less in the wet, off the road and near full lean
+    grip() {
+        const bike = CONFIG.BIKE;
+        let grip = Math.abs(this.playerX) > 1 ? bike.GRIP_OFF_ROAD : 1;
+        grip *= 1 - (1 - CONFIG.WEATHER.WET_GRIP) * this.environment.rain;
+        const slide = (Math.abs(this.lean) - bike.GRIP_HIGH_LEAN) / (1 - bike.GRIP_HIGH_LEAN);
+        if (slide > 0) grip *= 1 - (1 - bike.GRIP_MIN) * slide;
+        return grip;
+    }
+
+    // Riding close behind a car in the rider's path builds the draft;
+    // dropping back or pulling out lets it fade
+    updateSlipstream(dt, cmd) {
+        const draft = CONFIG.SLIPSTREAM;
+        const behind = this.traffic.carsAhead(draft.RANGE, draft.WIDTH)
+            .some(car => this.traffic.carDirection(car) > 0);
+        const was = this.slipstream;
+        this.slipstream = behind ? Math.min(1, was + draft.BUILD * dt) : Math.max(0, was - draft.FADE * dt);
+        if (this.slipstream === 1 && was < 1) this.events.push({ type: 'slipstream' });
+        if (cmd.accel > 0) this.speed += draft.ACCEL * this.slipstream * dt * 60;
+    }
+
+    // A new wheelie press lifts the front wheel for WHEELIE.TIME seconds
+    // (braking drops it early); points are paid when it comes down
+    updateWheelie(dt, cmd) {
+        if (this.wheelie === null) {
+            if (cmd.wheelie && !this.held.wheelie && this.speed >= CONFIG.WHEELIE.MIN_SPEED) this.wheelie = 0;
+            return;
+        }
+        this.wheelie += dt;
+        if (this.wheelie >= CONFIG.WHEELIE.TIME || cmd.brake > 0 || this.speed < CONFIG.WHEELIE.MIN_SPEED) {
+            const points = Math.round(CONFIG.WHEELIE.POINTS * Math.min(this.wheelie, CONFIG.WHEELIE.TIME));
+            this.score += points;
+            this.events.push({ type: 'wheelie', points: points });
+            this.wheelie = null;
+        }
+    }
+
+    updateHorn(dt, cmd) {
+        this.hornCooldown = Math.max(0, this.hornCooldown - dt);
+        if (!cmd.horn || this.held.horn || this.hornCooldown > 0) return;
+        this.hornCooldown = CONFIG.HORN.COOLDOWN;
+        const cars = this.traffic.honk();
+        this.events.push({ type: 'horn', cars: cars.length });
+    }
+
+    checkSpriteCollisions() {
+        const playerZ = this.position + CONFIG.CAMERA_HEIGHT;
+        const trackLen = this.segments.length * CONFIG.SEGMENT_LENGTH;
+        // Check overlapping segments
+        const startSegIndex = Math.floor(playerZ / CONFIG.SEGMENT_LENGTH) % this.segments.length;
+        
+        // Check current and neighbors
+        for(let i = -1; i <= 2; i++) {
+            const idx = (startSegIndex + i + this.segments.length) % this.segments.length;
+            const segment = this.segments[idx];
+            
+            for(let j = 0; j < segment.sprites.length; j++) {
+                const sprite = segment.sprites[j];
+                const spriteZ = segment.p1.world.z;
+                
+                let dist = spriteZ - playerZ;
+                if (dist < -trackLen/2) dist += trackLen;
+                if (dist > trackLen/2) dist -= trackLen;
+                
+                if (Math.abs(dist) < 100) { 
+                    const spec = CONFIG.SCENERY[sprite.type];
+                    const playerW = 0.15; // Bike width
+                    const hit = spec.SPAN ? Math.abs(this.playerX) + playerW / 2 > spec.SPAN
+                        : spec.WIDTH > 0 && Utils.overlap(this.playerX, playerW, sprite.offset, spec.WIDTH);
+                    if (hit) {
+                        this.hitSprite(sprite, spec);
+                        return;
+                    }
+                }
+            }
+        }
+    }
+
+    updateTraffic(dt) {
+        const playerZ = this.position + CONFIG.CAMERA_HEIGHT; 
+        const events = this.traffic.step(dt, { z: playerZ, x: this.playerX, speed: this.speed });
+
+        events.closeCalls.forEach(car => this.triggerCloseCall(car.speed < 0));
+        if (events.collision) this.hitCar(events.collision);
+        
+        if (this.speed > 0) this.score += (this.speed / 1000) * dt * 10 * this.scoreMultiplier();
+    }
+
+    // Score multiplier for riding against the traffic in two-way mode
+    scoreMultiplier() {
+        if (this.mode !== 'twoway') return 1;
+        const inOncoming = CONFIG.TRAFFIC.ONCOMING_LANES.some(lane => Utils.overlap(this.playerX, 0.15, lane, 0.5));
+        return inOncoming ? CONFIG.TRAFFIC.ONCOMING_MULTIPLIER : 1;
+    }
+
+    triggerCloseCall(oncoming) {
+        const points = Math.round(500 * (oncoming ? CONFIG.TRAFFIC.ONCOMING_MULTIPLIER : 1) * this.scoreMultiplier());
+        this.score += points;
+        this.events.push({ type: 'closeCall', points: points, oncoming: oncoming });
+    }
+
+    // Off-centre hits and slow bumps cost health and knock the bike aside;
+    // a square hit at speed or any head-on hit ends the run
+    hitCar(car) {
+        if (this.grace > 0) return;
+        const d = CONFIG.DAMAGE;
+        const closing = Math.abs(this.speed - car.speed);
+        const reach = (TrafficSystem.spec(car.type).WIDTH + 0.15) / 2;
+        const glancing = Math.abs(this.playerX - car.offset) > d.GLANCING * reach;
+        if (!glancing && (car.speed < 0 || closing > d.HEAVY_SPEED)) return this.crash();
+
+        this.speed = Math.min(this.speed, Math.abs(car.speed)) * d.SWIPE_SLOW;
+        this.knock = (this.playerX < car.offset ? -1 : 1) * d.KNOCK;
+        this.damage(d.SWIPE * (1 + closing / CONFIG.MAX_SPEED), 'swipe');
+    }
+
+    // Rails and tunnel walls scrape and push the bike back toward the road.
+    // A post clipped at low speed sets the bike wobbling; at speed it's a crash.
+    hitSprite(sprite, spec) {
+        if (this.grace > 0) return;
+        if (spec.HIT === 'rail') {
+            const away = spec.SPAN ? -Math.sign(this.playerX) : (this.playerX < sprite.offset ? -1 : 1);
+            this.speed *= 0.85;
+            this.knock = away * CONFIG.DAMAGE.KNOCK;
+            return this.damage(CONFIG.DAMAGE.SCRAPE, 'scrape');
+        }
+        if (this.speed >= CONFIG.DAMAGE.WOBBLE_SPEED) return this.crash();
+
+        this.speed *= 0.5;
+        this.knock = (this.playerX < sprite.offset ? -1 : 1) * CONFIG.DAMAGE.KNOCK;
+        this.wobble = CONFIG.DAMAGE.WOBBLE_TIME;
+        this.damage(CONFIG.DAMAGE.WOBBLE, 'wobble');
+    }
+
+    damage(amount, kind) {
+        amount = Math.round(amount);
+        this.health = Math.max(0, this.health - amount);
+        this.grace = CONFIG.DAMAGE.GRACE;
+        this.events.push({ type: 'hit', kind: kind, damage: amount });
+        if (this.health === 0) this.crash();
+    }
+
+    // A fatal hit starts the crash sequence; the run ends when it has played out
+    crash() {
+        if (this.crashTime !== null) return;
+        this.crashTime = 0;
+        this.health = 0;
+        this.boosting = false;
+        this.wheelie = null;
+        this.events.push({ type: 'crash' });
+    }
+
+    // The bike slides to a stop while the traffic carries on
+    updateCrash(dt) {
+        this.crashTime += dt;
+        this.speed = Math.max(0, this.speed - CONFIG.CRASH.SLIDE * dt);
+        this.position = (this.position + this.speed * dt) % (this.segments.length * CONFIG.SEGMENT_LENGTH);
+        this.traffic.step(dt, { z: this.position + CONFIG.CAMERA_HEIGHT, x: this.playerX, speed: this.speed });
+        if (this.crashTime >= CONFIG.CRASH.TIME) this.endRun();
+    }
+
+    endRun() {
+        this.speed = 0;
+        this.isGameOver = true;
+        this.events.push({ type: 'gameOver' });
+    }
+
+    findSegment(z) {
+        return this.segments[Math.floor(z / CONFIG.SEGMENT_LENGTH) % this.segments.length];
+    }
+
+    // Road surface height at track position z
+    roadHeight(z) {
+        const segment = this.findSegment(z);
+        const percent = Utils.percentRemaining(z, CONFIG.SEGMENT_LENGTH);
+        return Utils.interpolate(segment.p1.world.y, segment.p2.world.y, percent);
+    }
+}
+
+// Node (tests, benchmarks) loads this file with require(); the browser
+// loads it as a plain script ahead of game.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CONFIG, Utils, SeededRandom, TrackGenerator, TrafficSystem, ReplayRecorder, ReplayPlayer, Ghost, HighScores, Environment, Simulation };
+}
@@ -0,0 +1,66 @@
+/**
+ * Service worker: keeps the game and the MediaPipe hand model available
+ * offline once they have been loaded.
+ */
+const CACHE = 'gesture-rider-v2';
+const SHELL = ['./', 'index.html', 'styles.css', 'simulation.js', 'game.js', 'favicon.svg', 'manifest.webmanifest'];
+// Local MediaPipe copy (see vendor/mediapipe/README.md). Cached up front when
+// it's there; without it the CDN files are cached on the first online session.
+const VENDOR = [
+    'hands/hands.js', 'hands/hands_solution_packed_assets_loader.js', 'hands/hands_solution_packed_assets.data',
+    'hands/hands_solution_simd_wasm_bin.js', 'hands/hands_solution_simd_wasm_bin.wasm',
+    'hands/hands_solution_wasm_bin.js', 'hands/hands_solution_wasm_bin.wasm', 'hands/hands.binarypb',
+    'hands/hand_landmark_full.tflite', 'hands/hand_landmark_lite.tflite', 'drawing_utils/drawing_utils.js'
+].map(file => 'vendor/mediapipe/' + file);
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(caches.open(CACHE)
+        .then(cache => cache.addAll(SHELL).then(() => cache.addAll(VENDOR).catch(() => {})))
+        .then(() => self.skipWaiting()));
+});
+
+// Drop caches left by older versions
+self.addEventListener('activate', (event) => {
+    event.waitUntil(caches.keys()
+        .then(keys => Promise.all(keys.filter(key => key !== CACHE).map(key => caches.delete(key))))
+        .then(() => self.clients.claim()));
+});
+
+// MediaPipe files (local or CDN) and fonts don't change: cache first. The
+// game itself: network first so updates arrive, the cache when offline.
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+    const mediapipe = url.pathname.includes('/mediapipe/') || url.pathname.includes('/@mediapipe/');
+    const fonts = url.hostname === 'fonts.googleapis.com' || url.hostname === 'fonts.gstatic.com';
+    if (mediapipe || fonts) event.respondWith(cacheFirst(request));
+    else if (url.origin === self.location.origin) event.respondWith(networkFirst(request));
+});
+
+async function cacheFirst(request) {
+    const cached = await caches.match(request);
+    if (cached) return cached;
+    const response = await fetch(request);
+    if (response.ok) {
+        const cache = await caches.open(CACHE);
+        cache.put(request, response.clone());
+    }
+    return response;
+}
+
+async function networkFirst(request) {
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            const cache = await caches.open(CACHE);
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (e) {
+        // Offline: ?seed=... and other query strings still get the cached page
+        const cached = await caches.match(request, { ignoreSearch: request.mode === 'navigate' });
+        if (cached) return cached;
+        throw e;
+    }
+}
@@ -0,0 +1,167 @@
+/**
+ * Browser shell tests: game.js runs in a bare VM context with just enough
+ * of the DOM for the methods under test.
+ *
+ *   node --test
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+// Load simulation.js and game.js as the page does: plain scripts sharing one
+// global scope. `globals` replaces any of the stand-ins below.
+function loadGame(globals = {}) {
+    const element = () => ({ classList: { add() {}, remove() {} }, innerText: '' });
+    const context = vm.createContext({
+        console: console,
+        performance: performance,
+        URLSearchParams: URLSearchParams,
+        window: { location: { search: '' } },
+        document: { getElementById: element },
+        requestAnimationFrame: () => 1,
+        cancelAnimationFrame: () => {},
+        ...globals
+    });
+    for (const file of ['simulation.js', 'game.js']) {
+        vm.runInContext(fs.readFileSync(path.join(__dirname, '..', file), 'utf8'), context, { filename: file });
+    }
+    const classes = vm.runInContext('({ CONFIG, Simulation, Game, InputSystem, OneEuroFilter, MediaPipeLoader })', context);
+    return Object.assign(classes, { context: context });
+}
+
+const { CONFIG, Simulation, Game, InputSystem } = loadGame();
+
+// Script tags that load (and set their global) only for the given URLs
+function fakeScripts(context, available) {
+    const loaded = [];
+    const globals = { 'hands.js': 'Hands', 'drawing_utils.js': 'drawConnectors' };
+    context.document.head = {
+        appendChild(script) {
+            setTimeout(() => {
+                if (!available.includes(script.src)) return script.onerror();
+                loaded.push(script.src);
+                context.window[globals[script.src.split('/').pop()]] = () => {};
+                script.onload();
+            });
+        }
+    };
+    context.document.createElement = () => ({ remove() {} });
+    return loaded;
+}
+
+// A Game without its constructor's DOM wiring: live input whose hand went
+// missing `lostFor` seconds ago, and no renderer or audio
+function idleGame(lostFor) {
+    const input = Object.create(InputSystem.prototype);
+    input.sources = [];
+    input.handLostAt = performance.now() - lostFor * 1000;
+
+    const game = Object.create(Game.prototype);
+    game.input = input;
+    game.audio = { init() {}, resume() {}, update() {}, suspend() {} };
+    game.sim = new Simulation({ seed: 1, input: { getCommand: () => ({ steer: 0, accel: 0, brake: 0 }) } });
+    game.autoPauseDelay = CONFIG.GESTURE.HAND_LOST_PAUSE;
+    game.isPlaying = false;
+    game.paused = false;
+    game.frameId = null;
+    game.recorder = null;
+    game.replayPlayer = null;
+    game.ghostReplay = null;
+    game.fixedSeed = 1;
+    game.present = () => {};
+    return game;
+}
+
+test.describe('auto-pause', () => {
+    test('a hand dropped before START does not pause the new run', () => {
+        const game = idleGame(CONFIG.GESTURE.HAND_LOST_PAUSE + 5);
+        assert.ok(game.input.handLostTime() > game.autoPauseDelay);
+        game.start();
+        game.step(performance.now());
+        assert.strictEqual(game.paused, false);
+        assert.strictEqual(game.isPlaying, true);
+    });
+
+    test('a hand dropped before TRY AGAIN does not pause the new run', () => {
+        const game = idleGame(CONFIG.GESTURE.HAND_LOST_PAUSE + 5);
+        game.restart();
+        game.step(performance.now());
+        assert.strictEqual(game.paused, false);
+    });
+
+    test('a hand lost during the run still pauses it', () => {
+        const game = idleGame(0);
+        game.start();
+        game.input.handLostAt = performance.now() - (game.autoPauseDelay + 1) * 1000;
+        game.step(performance.now());
+        assert.strictEqual(game.paused, true);
+    });
+});
+
+test.describe('MediaPipe loader', () => {
+    const [VENDOR, CDN] = CONFIG.MEDIAPIPE.BASE_PATHS;
+
+    test('the local copy is tried first', async () => {
+        const { MediaPipeLoader, context } = loadGame();
+        const loaded = fakeScripts(context, [VENDOR + 'hands/hands.js', VENDOR + 'drawing_utils/drawing_utils.js', CDN + 'hands/hands.js']);
+        assert.strictEqual(await MediaPipeLoader.load(), VENDOR);
+        assert.deepStrictEqual(loaded, [VENDOR + 'hands/hands.js', VENDOR + 'drawing_utils/drawing_utils.js']);
+    });
+
+    test('a script that already loaded is not run again from the next path', async () => {
+        const { MediaPipeLoader, context } = loadGame();
+        const loaded = fakeScripts(context, [VENDOR + 'hands/hands.js', CDN + 'hands/hands.js', CDN + 'drawing_utils/drawing_utils.js']);
+        assert.strictEqual(await MediaPipeLoader.load(), VENDOR); // Model files sit next to hands.js
+        assert.deepStrictEqual(loaded, [VENDOR + 'hands/hands.js', CDN + 'drawing_utils/drawing_utils.js']);
+    });
+
+    test('a path that failed is tried last on a retry', async () => {
+        const { MediaPipeLoader, context } = loadGame();
+        fakeScripts(context, [CDN + 'hands/hands.js', CDN + 'drawing_utils/drawing_utils.js']);
+        assert.strictEqual(await MediaPipeLoader.load(), CDN);
+        assert.deepStrictEqual(Array.from(MediaPipeLoader.basePaths()), [CDN, VENDOR]);
+    });
+});
+
+test.describe('one/two-hand handover', () => {
+    // Input holding a steady new reading after a switch away from `from`,
+    // with camera frames 1/30 s apart; returns the output of each frame
+    const handover = (from, reading, frames) => {
+        let now = 0;
+        const { CONFIG, InputSystem, OneEuroFilter } = loadGame({ performance: { now: () => now } });
+        const filter = CONFIG.GESTURE.FILTER;
+        const input = Object.create(InputSystem.prototype);
+        input.gesture = { active: true };
+        input.tiltFilter = new OneEuroFilter(filter.MIN_CUTOFF, filter.BETA, filter.D_CUTOFF);
+        input.tiltFilter.filter(from.tilt, 0);
+        input.graph = { push() {} };
+        input.handover = CONFIG.GESTURE.TWO_HAND.HANDOVER;
+        input.handoverFrom = from;
+        const out = [];
+        for (let i = 0; i < frames; i++) {
+            now += 1000 / 30;
+            Object.assign(input.gesture, reading);
+            input.filterGesture();
+            out.push({ tilt: input.gesture.tilt, throttle: input.gesture.throttle, brake: input.gesture.brake });
+        }
+        return { out: out, frames: CONFIG.GESTURE.TWO_HAND.HANDOVER };
+    };
+
+    test('the pedals land exactly on the new reading when the handover ends', () => {
+        const { out, frames } = handover({ tilt: 0, throttle: 1, brake: 0 }, { tilt: 0, throttle: 0, brake: 0.5 }, 20);
+        for (let i = 1; i < out.length; i++) assert.ok(out[i].throttle <= out[i - 1].throttle);
+        assert.ok(out[0].throttle < 1 && out[0].throttle > 0.5);
+        out.slice(frames - 1).forEach(frame => assert.deepStrictEqual([frame.throttle, frame.brake], [0, 0.5]));
+    });
+
+    test('the tilt keeps easing through the end of the handover without a jump', () => {
+        const { out, frames } = handover({ tilt: 0, throttle: 0, brake: 0 }, { tilt: 1, throttle: 0, brake: 0 }, 40);
+        const steps = out.map((frame, i) => frame.tilt - (i ? out[i - 1].tilt : 0));
+        steps.forEach(step => assert.ok(step >= 0));
+        const during = Math.max(...steps.slice(0, frames));
+        assert.ok(Math.max(...steps.slice(frames)) <= during);
+        assert.ok(out[out.length - 1].tilt > 0.95);
+    });
+});
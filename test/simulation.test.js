@@ -0,0 +1,533 @@
+/**
+ * Simulation tests (no browser needed).
+ *
+ *   node --test
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { CONFIG, Utils, SeededRandom, TrafficSystem, ReplayRecorder, ReplayPlayer, HighScores, Environment, Simulation } = require('../simulation.js');
+
+const TRACK_LENGTH = 2000 * CONFIG.SEGMENT_LENGTH;
+const THROTTLE = { steer: 0, accel: 1, brake: 0 };
+const COAST = { steer: 0, accel: 0, brake: 0 };
+
+// A seeded track straightened out, with every car and tree removed, so each
+// test places its own and a rider who doesn't steer stays in lane
+function emptyRoad(mode = 'oneway') {
+    const sim = new Simulation({ seed: 1, mode: mode });
+    sim.segments.forEach(segment => {
+        segment.curve = 0;
+        segment.cars = [];
+        segment.sprites = [];
+    });
+    sim.traffic = new TrafficSystem(sim.segments, new SeededRandom(1), mode);
+    return sim;
+}
+
+// Step until the run ends or the step budget runs out
+function ride(sim, cmd, steps) {
+    for (let i = 0; i < steps && !sim.isGameOver; i++) sim.update(CONFIG.STEP, cmd);
+}
+
+// Segment the rider's collision point (camera height ahead of position) is in
+function riderSegment(sim) {
+    return Math.floor((sim.position + CONFIG.CAMERA_HEIGHT) / CONFIG.SEGMENT_LENGTH);
+}
+
+// localStorage stand-in
+function memoryStorage(initial = {}) {
+    const data = Object.assign({}, initial);
+    return {
+        data: data,
+        getItem: key => (key in data ? data[key] : null),
+        setItem: (key, value) => { data[key] = String(value); }
+    };
+}
+
+test.describe('collisions', () => {
+    test('overlap treats touching edges as a hit', () => {
+        assert.strictEqual(Utils.overlap(0, 0.2, 0.2, 0.2), true);
+        assert.strictEqual(Utils.overlap(0, 0.2, 0.25, 0.2), false);
+        assert.strictEqual(Utils.overlap(-1, 0.5, -0.8, 0.1), true);
+    });
+
+    test('riding into a tree crashes', () => {
+        const sim = emptyRoad();
+        sim.addSprite(riderSegment(sim) + 20, 0, 'tree');
+        ride(sim, THROTTLE, 600);
+
+        assert.strictEqual(sim.isGameOver, true);
+        assert.strictEqual(sim.speed, 0);
+        assert.strictEqual(sim.events.filter(e => e.type === 'crash').length, 1);
+    });
+
+    test('trees beside the road are passed safely', () => {
+        const sim = emptyRoad();
+        for (let i = 10; i < 200; i += 10) {
+            sim.addSprite(i, -1.5, 'tree');
+            sim.addSprite(i, 1.5, 'tree');
+        }
+        ride(sim, THROTTLE, 600);
+
+        assert.strictEqual(sim.isGameOver, false);
+        assert.ok(sim.position > 200 * CONFIG.SEGMENT_LENGTH);
+    });
+
+    test('catching a slower car in the same lane crashes', () => {
+        const sim = emptyRoad();
+        sim.addCar(riderSegment(sim) + 30, 0, 2000);
+        ride(sim, THROTTLE, 1200);
+
+        assert.strictEqual(sim.isGameOver, true);
+        assert.ok(sim.events.some(e => e.type === 'crash'));
+    });
+
+    test('a car in the next lane is not a collision', () => {
+        const sim = emptyRoad();
+        sim.addCar(riderSegment(sim) + 30, CONFIG.TRAFFIC.LANES[2], 2000, 'truck');
+        ride(sim, THROTTLE, 600);
+
+        assert.strictEqual(sim.isGameOver, false);
+    });
+});
+
+test.describe('close calls', () => {
+    test('overtaking a car in the next lane scores a close call once', () => {
+        const sim = emptyRoad();
+        sim.addCar(riderSegment(sim) + 30, CONFIG.TRAFFIC.LANES[2], 2000, 'truck');
+        ride(sim, THROTTLE, 600);
+
+        const closeCalls = sim.events.filter(e => e.type === 'closeCall');
+        assert.strictEqual(closeCalls.length, 1);
+        assert.deepStrictEqual(closeCalls[0], { type: 'closeCall', points: 500, oncoming: false });
+        assert.ok(sim.score > 500);
+    });
+
+    test('passing far from a car is not a close call', () => {
+        const sim = emptyRoad();
+        sim.playerX = CONFIG.TRAFFIC.LANES[0];
+        sim.addCar(riderSegment(sim) + 30, CONFIG.TRAFFIC.LANES[2], 2000, 'truck');
+        ride(sim, THROTTLE, 600);
+
+        assert.strictEqual(sim.events.filter(e => e.type === 'closeCall').length, 0);
+    });
+
+    test('oncoming close calls are worth double', () => {
+        const sim = emptyRoad('twoway');
+        sim.addCar(riderSegment(sim) + 60, CONFIG.TRAFFIC.ONCOMING_LANES[0], -5000);
+        ride(sim, THROTTLE, 600);
+
+        const closeCalls = sim.events.filter(e => e.type === 'closeCall');
+        assert.strictEqual(sim.isGameOver, false);
+        assert.strictEqual(closeCalls.length, 1);
+        assert.deepStrictEqual(closeCalls[0], { type: 'closeCall', points: 500 * CONFIG.TRAFFIC.ONCOMING_MULTIPLIER, oncoming: true });
+    });
+});
+
+test.describe('lap wrap-around', () => {
+    test('position wraps back to the start of the track', () => {
+        const sim = emptyRoad();
+        sim.position = TRACK_LENGTH - 50;
+        sim.speed = 6000;
+        sim.update(CONFIG.STEP, COAST);
+
+        assert.ok(sim.position >= 0 && sim.position < 100, `position ${sim.position}`);
+        assert.strictEqual(sim.prevPosition, TRACK_LENGTH - 50);
+        assert.ok(sim.distanceRun > 50);
+    });
+
+    test('riding a full lap ends back near the start', () => {
+        const sim = emptyRoad();
+        ride(sim, THROTTLE, 60 * 60);
+
+        assert.strictEqual(sim.isGameOver, false);
+        assert.ok(sim.distanceRun > TRACK_LENGTH);
+        assert.ok(sim.position >= 0 && sim.position < TRACK_LENGTH);
+        assert.ok(Math.abs(sim.position - sim.distanceRun % TRACK_LENGTH) < 1e-3);
+    });
+
+    test('a tree just past the lap line is hit from the end of the lap', () => {
+        const sim = emptyRoad();
+        sim.addSprite(2, 0, 'tree');
+        sim.position = TRACK_LENGTH - CONFIG.CAMERA_HEIGHT + 2 * CONFIG.SEGMENT_LENGTH;
+        sim.update(CONFIG.STEP, COAST);
+
+        assert.ok(sim.events.some(e => e.type === 'hit'));
+    });
+});
+
+test.describe('scenery', () => {
+    test('the track is dressed from the catalogue in biome stretches', () => {
+        const sim = new Simulation({ seed: 8 });
+        const biomes = new Set(sim.segments.map(segment => segment.biome));
+        assert.ok(biomes.size >= 2);
+        biomes.forEach(biome => assert.ok(biome in CONFIG.BIOMES));
+        sim.segments.forEach(segment => segment.sprites.forEach(sprite => assert.ok(sprite.type in CONFIG.SCENERY)));
+
+        const sprites = s => new Simulation({ seed: s }).segments.map(segment => segment.sprites);
+        assert.deepStrictEqual(sprites(8), sprites(8));
+    });
+
+    test('collision widths come from the catalogue', () => {
+        const pass = type => {
+            const sim = emptyRoad();
+            sim.addSprite(riderSegment(sim) + 20, 0.3, type);
+            ride(sim, THROTTLE, 300);
+            return !sim.events.some(e => e.type === 'hit' || e.type === 'crash');
+        };
+        assert.strictEqual(pass('sign'), true);
+        assert.strictEqual(pass('billboard'), false);
+    });
+
+    test('tunnel walls scrape the bike back onto the road', () => {
+        const sim = emptyRoad();
+        for (let i = 10; i < 60; i++) sim.addSprite(riderSegment(sim) + i, 0, 'tunnel');
+        sim.playerX = 1.25;
+        ride(sim, THROTTLE, 300);
+
+        const hits = sim.events.filter(e => e.type === 'hit');
+        assert.ok(hits.length >= 1 && hits.every(e => e.kind === 'scrape'));
+        assert.ok(sim.playerX < 1.1);
+        assert.strictEqual(sim.isGameOver, false);
+    });
+});
+
+test.describe('time of day and weather', () => {
+    test('colours blend between palettes', () => {
+        assert.strictEqual(Utils.blendColor('#000000', '#ffffff', 0.5), '#808080');
+        assert.strictEqual(Utils.blendColor('#102030', '#ffffff', 0), '#102030');
+        assert.strictEqual(Utils.blendColor('#102030', '#a0b0c0', 1), '#a0b0c0');
+    });
+
+    test('the clock runs from night to day', () => {
+        const environment = new Environment(1);
+        assert.ok(environment.daylight < 0.1);
+        environment.update(CONFIG.DAY_NIGHT.CYCLE / 2, 0);
+        assert.ok(environment.daylight > 0.9);
+    });
+
+    test('weather changes by distance on a seeded schedule', () => {
+        const schedule = seed => {
+            const environment = new Environment(seed);
+            const changes = [];
+            for (let distance = 0; distance < 3000000; distance += 1000) {
+                const weather = environment.update(CONFIG.STEP, distance);
+                if (weather) changes.push([distance, weather]);
+            }
+            return changes;
+        };
+        const changes = schedule(5);
+        assert.deepStrictEqual(changes, schedule(5));
+        assert.ok(changes.length >= 4);
+        assert.ok(changes[0][0] >= CONFIG.WEATHER.LEG_MIN);
+        changes.forEach(([, weather], i) => assert.strictEqual(weather === 'clear', i % 2 === 1));
+    });
+
+    test('rain eases in and lowers grip', () => {
+        const sim = emptyRoad();
+        const environment = sim.environment;
+        environment.update(CONFIG.STEP, environment.nextChange);
+        environment.to = 'rain';
+        assert.strictEqual(sim.grip(), 1);
+
+        environment.update(CONFIG.STEP, environment.changedAt + CONFIG.WEATHER.TRANSITION / 2);
+        assert.ok(environment.rain > 0.4 && environment.rain < 0.6);
+        environment.update(CONFIG.STEP, environment.changedAt + CONFIG.WEATHER.TRANSITION);
+        assert.ok(Math.abs(sim.grip() - CONFIG.WEATHER.WET_GRIP) < 1e-9);
+    });
+});
+
+test.describe('damage', () => {
+    // Ride until the first hit or crash and return it
+    function rideToHit(sim, cmd) {
+        for (let i = 0; i < 600 && !sim.events.some(e => e.type === 'hit' || e.type === 'crash'); i++) sim.update(CONFIG.STEP, cmd);
+        return sim.events.find(e => e.type === 'hit' || e.type === 'crash');
+    }
+
+    test('a side-swipe costs health and knocks the bike aside', () => {
+        const sim = emptyRoad();
+        sim.playerX = 0.25;
+        sim.speed = 6000;
+        sim.addCar(riderSegment(sim) + 3, 0, 4000);
+        const hit = rideToHit(sim, COAST);
+
+        assert.strictEqual(hit.type, 'hit');
+        assert.strictEqual(hit.kind, 'swipe');
+        assert.strictEqual(sim.health, CONFIG.DAMAGE.HEALTH - hit.damage);
+        ride(sim, COAST, 30);
+        assert.ok(sim.playerX > 0.4);
+        assert.strictEqual(sim.isGameOver, false);
+    });
+
+    test('a tree clipped at low speed causes a wobble', () => {
+        const sim = emptyRoad();
+        sim.speed = 2000;
+        sim.addSprite(riderSegment(sim) + 3, 0.1, 'tree');
+        const hit = rideToHit(sim, COAST);
+
+        assert.strictEqual(hit.kind, 'wobble');
+        let sway = 0;
+        for (let i = 0; i < 30; i++) {
+            sim.update(CONFIG.STEP, COAST);
+            sway = Math.max(sway, Math.abs(sim.lean));
+        }
+        assert.ok(sim.wobble > 0);
+        assert.ok(sway > 0.05);
+        assert.strictEqual(sim.isGameOver, false);
+    });
+
+    test('a head-on hit plays the crash sequence before the run ends', () => {
+        const sim = emptyRoad('twoway');
+        sim.playerX = CONFIG.TRAFFIC.ONCOMING_LANES[0];
+        sim.addCar(riderSegment(sim) + 30, CONFIG.TRAFFIC.ONCOMING_LANES[0], -5000);
+        assert.strictEqual(rideToHit(sim, THROTTLE).type, 'crash');
+        assert.strictEqual(sim.isGameOver, false);
+
+        ride(sim, THROTTLE, Math.ceil(CONFIG.CRASH.TIME / CONFIG.STEP) + 1);
+        assert.strictEqual(sim.isGameOver, true);
+        assert.strictEqual(sim.speed, 0);
+        assert.strictEqual(sim.events.filter(e => e.type === 'gameOver').length, 1);
+    });
+
+    test('running out of health ends the run', () => {
+        const sim = emptyRoad();
+        sim.health = 10;
+        sim.playerX = 0.25;
+        sim.speed = 6000;
+        sim.addCar(riderSegment(sim) + 3, 0, 4000);
+        rideToHit(sim, COAST);
+
+        assert.strictEqual(sim.health, 0);
+        assert.ok(sim.events.some(e => e.type === 'crash'));
+    });
+});
+
+test.describe('high score', () => {
+    test('starts from the stored best', () => {
+        assert.strictEqual(new HighScores(memoryStorage()).best, 0);
+        assert.strictEqual(new HighScores(memoryStorage({ gestureRiderHighScore: '1234' })).best, 1234);
+    });
+
+    test('only a better score replaces the best', () => {
+        const storage = memoryStorage({ gestureRiderHighScore: '1000' });
+        const scores = new HighScores(storage);
+
+        assert.strictEqual(scores.submit(999.9), false);
+        assert.strictEqual(scores.submit(1000), false);
+        assert.strictEqual(storage.data.gestureRiderHighScore, '1000');
+
+        assert.strictEqual(scores.submit(1500.7), true);
+        assert.strictEqual(scores.best, 1500);
+        assert.strictEqual(storage.data.gestureRiderHighScore, '1500');
+    });
+
+    test('a new best keeps its replay as the best ghost', () => {
+        const storage = memoryStorage();
+        const scores = new HighScores(storage);
+        const recorder = new ReplayRecorder(42, 'twoway');
+        recorder.record(THROTTLE);
+        const replay = recorder.finish(800);
+
+        assert.strictEqual(scores.bestReplay(), null);
+        scores.submit(800, replay);
+        assert.deepStrictEqual(scores.bestReplay(), replay);
+
+        scores.submit(500, new ReplayRecorder(7, 'oneway').finish(500));
+        assert.strictEqual(scores.bestReplay().seed, 42);
+    });
+
+    test('a corrupt saved ghost is ignored', () => {
+        const scores = new HighScores(memoryStorage({ gestureRiderBestGhost: '{"version":1' }));
+        assert.strictEqual(scores.bestReplay(), null);
+    });
+
+    test('a finished run is scored by the simulation', () => {
+        const sim = emptyRoad();
+        sim.addSprite(riderSegment(sim) + 60, 0, 'tree');
+        ride(sim, THROTTLE, 1200);
+        assert.strictEqual(sim.isGameOver, true);
+
+        const scores = new HighScores(memoryStorage());
+        assert.strictEqual(scores.submit(sim.score), true);
+        assert.strictEqual(scores.best, Math.floor(sim.score));
+    });
+});
+
+test.describe('nitro, horn and wheelie', () => {
+    test('nitro goes past top speed until the meter runs out', () => {
+        const sim = emptyRoad();
+        ride(sim, THROTTLE, 60 * 20);
+        assert.strictEqual(sim.speed, CONFIG.MAX_SPEED);
+
+        ride(sim, Object.assign({ nitro: true }, THROTTLE), 60);
+        assert.ok(sim.speed > CONFIG.MAX_SPEED);
+        assert.ok(sim.nitro < 1);
+
+        ride(sim, Object.assign({ nitro: true }, THROTTLE), 60 * 5);
+        assert.strictEqual(sim.nitro, 0);
+        ride(sim, THROTTLE, 60 * 5);
+        assert.strictEqual(sim.speed, CONFIG.MAX_SPEED);
+        assert.ok(sim.nitro > 0);
+    });
+
+    test('the horn moves a car out of the rider\'s lane', () => {
+        const sim = emptyRoad();
+        const car = sim.addCar(riderSegment(sim) + 10, 0, 2000);
+        sim.speed = 2000;
+        sim.update(CONFIG.STEP, { steer: 0, accel: 1, brake: 0, horn: true });
+
+        assert.ok(sim.events.some(e => e.type === 'horn' && e.cars === 1));
+        assert.notStrictEqual(car.targetOffset, 0);
+        ride(sim, { steer: 0, accel: 1, brake: 0, horn: true }, 60 * 3);
+        assert.strictEqual(sim.isGameOver, false);
+        assert.strictEqual(sim.events.filter(e => e.type === 'horn').length, 1);
+    });
+
+    test('a wheelie pays points when it lands', () => {
+        const sim = emptyRoad();
+        sim.speed = CONFIG.WHEELIE.MIN_SPEED;
+        const wheelie = { steer: 0, accel: 1, brake: 0, wheelie: true };
+        sim.update(CONFIG.STEP, wheelie);
+        assert.strictEqual(sim.wheelie, 0);
+
+        ride(sim, wheelie, 60 * 3);
+        const wheelies = sim.events.filter(e => e.type === 'wheelie');
+        assert.strictEqual(wheelies.length, 1);
+        assert.ok(Math.abs(wheelies[0].points - CONFIG.WHEELIE.POINTS * CONFIG.WHEELIE.TIME) <= 5);
+        assert.strictEqual(sim.wheelie, null);
+    });
+
+    test('no wheelie below the minimum speed', () => {
+        const sim = emptyRoad();
+        sim.update(CONFIG.STEP, { steer: 0, accel: 1, brake: 0, wheelie: true });
+        assert.strictEqual(sim.wheelie, null);
+    });
+
+    test('replays keep the action flags', () => {
+        const recorder = new ReplayRecorder(5, 'oneway');
+        const cmd = recorder.record({ steer: 0.5, accel: 1, brake: 0, nitro: true, wheelie: true });
+        assert.deepStrictEqual(cmd, { steer: 0.5, accel: 1, brake: 0, nitro: true, horn: false, wheelie: true });
+        recorder.record(THROTTLE);
+
+        const player = new ReplayPlayer(ReplayPlayer.parse(JSON.stringify(recorder.finish(0))));
+        assert.deepStrictEqual(player.next(), cmd);
+        assert.strictEqual(player.next().nitro, false);
+    });
+
+    test('replays recorded with older physics are rejected', () => {
+        const old = { seed: 3, mode: 'oneway', step: CONFIG.STEP, ticks: 2, score: 0 };
+        assert.throws(() => ReplayPlayer.parse(JSON.stringify(Object.assign({ version: 1, commands: [[2, 0, 100, 0]] }, old))), /older game physics/);
+        assert.throws(() => ReplayPlayer.parse(JSON.stringify(Object.assign({ version: 2, commands: [[2, 0, 100, 0, 0]] }, old))), /older game physics/);
+        assert.throws(() => ReplayPlayer.parse(JSON.stringify(Object.assign({ version: 6, commands: [[2, 0, 100, 0, 0]] }, old))), /older game physics/);
+    });
+});
+
+test.describe('throttle and drag', () => {
+    test('a light throttle never slows the bike harder than coasting', () => {
+        const after = (speed, accel) => {
+            const sim = emptyRoad();
+            sim.speed = speed;
+            ride(sim, { steer: 0, accel: accel, brake: 0 }, 30);
+            return sim.speed;
+        };
+        [CONFIG.MAX_SPEED, CONFIG.MAX_SPEED * 0.8, CONFIG.MAX_SPEED / 2].forEach(speed => {
+            const coasting = after(speed, 0);
+            [0.01, 0.05, 0.2, 1].forEach(accel => assert.ok(after(speed, accel) >= coasting));
+        });
+    });
+});
+
+test.describe('bike handling', () => {
+    test('the lean builds up and settles instead of snapping', () => {
+        const sim = emptyRoad();
+        sim.speed = CONFIG.MAX_SPEED;
+        const left = { steer: 1, accel: 1, brake: 0 };
+        sim.update(CONFIG.STEP, left);
+        assert.ok(sim.lean > 0 && sim.lean < 0.2);
+
+        ride(sim, left, 60);
+        assert.ok(sim.lean > 0.99);
+        ride(sim, THROTTLE, 60);
+        assert.ok(Math.abs(sim.lean) < 0.01);
+    });
+
+    test('curves push a fast bike toward the outside edge', () => {
+        const drift = (curve, speed) => {
+            const sim = emptyRoad();
+            sim.segments.forEach(segment => segment.curve = curve);
+            sim.speed = speed;
+            ride(sim, COAST, 30);
+            return sim.playerX;
+        };
+        assert.ok(drift(4, CONFIG.MAX_SPEED) < -0.1); // Right-hand bend pushes left
+        assert.ok(drift(-4, CONFIG.MAX_SPEED) > 0.1);
+        assert.ok(Math.abs(drift(4, CONFIG.MAX_SPEED / 2)) < Math.abs(drift(4, CONFIG.MAX_SPEED)) / 3);
+    });
+
+    test('grip drops off the road and near full lean', () => {
+        const sim = emptyRoad();
+        assert.strictEqual(sim.grip(), 1);
+        sim.lean = CONFIG.BIKE.GRIP_HIGH_LEAN;
+        assert.strictEqual(sim.grip(), 1);
+        sim.lean = -1;
+        assert.ok(Math.abs(sim.grip() - CONFIG.BIKE.GRIP_MIN) < 1e-9);
+        sim.lean = 0;
+        sim.playerX = 1.5;
+        assert.strictEqual(sim.grip(), CONFIG.BIKE.GRIP_OFF_ROAD);
+    });
+
+    test('riding close behind a car lifts the top speed', () => {
+        const draft = offset => {
+            const sim = emptyRoad();
+            sim.addCar(riderSegment(sim) + 3, offset, CONFIG.MAX_SPEED + 1000);
+            sim.speed = CONFIG.MAX_SPEED;
+            let top = 0;
+            for (let i = 0; i < 60; i++) {
+                sim.update(CONFIG.STEP, THROTTLE);
+                top = Math.max(top, sim.speed);
+            }
+            assert.strictEqual(sim.isGameOver, false);
+            return { sim: sim, top: top };
+        };
+        const behind = draft(0);
+        assert.ok(behind.top > CONFIG.MAX_SPEED);
+        assert.ok(behind.sim.events.some(e => e.type === 'slipstream'));
+        assert.strictEqual(draft(0.65).top, CONFIG.MAX_SPEED);
+    });
+});
+
+test.describe('input and renderer interfaces', () => {
+    test('frame() steps once per command and renders the remainder', () => {
+        let commands = 0;
+        const frames = [];
+        const sim = new Simulation({
+            seed: 3,
+            input: { getCommand: () => { commands++; return THROTTLE; } },
+            renderer: { render: (s, alpha) => frames.push({ sim: s, alpha: alpha }) }
+        });
+
+        sim.frame(CONFIG.STEP * 3.5);
+        assert.strictEqual(commands, 3);
+        assert.strictEqual(sim.tick, 3);
+        assert.strictEqual(frames.length, 1);
+        assert.strictEqual(frames[0].sim, sim);
+        assert.ok(Math.abs(frames[0].alpha - 0.5) < 1e-6);
+    });
+
+    test('a long hitch is capped', () => {
+        const sim = new Simulation({ seed: 3, input: { getCommand: () => COAST } });
+        sim.frame(5);
+        assert.strictEqual(sim.tick, Math.floor(CONFIG.MAX_FRAME_TIME / CONFIG.STEP));
+    });
+
+    test('the same seed and commands replay the same run', () => {
+        const run = () => {
+            const sim = new Simulation({ seed: 99, mode: 'twoway' });
+            for (let i = 0; i < 900 && !sim.isGameOver; i++) {
+                sim.update(CONFIG.STEP, { steer: Math.sin(i / 50) * 0.5, accel: 1, brake: 0 });
+            }
+            return { position: sim.position, playerX: sim.playerX, score: sim.score, tick: sim.tick };
+        };
+        assert.deepStrictEqual(run(), run());
+    });
+});